@@ -5,7 +5,8 @@ import "dotenv/config";
 // a stale Render manual start command like `node server-with-lock.js` still runs the
 // production API instead of intercepting /api/submissions.
 //
-// Do not reintroduce a submission lock here unless it is strictly fail-open:
-// lock/RPC failure must log and forward to the normal Zoho submission handler.
+// Submission locking and idempotency now live in server.js behind SUBMISSION_LOCK_STORE
+// (memory or file), which is strictly fail-open: lock store failures are logged and the
+// submission continues through the normal Zoho handler. Do not reintroduce a lock here.
 console.warn("server-with-lock.js is disabled; starting direct server.js path.");
 await import("./server.js");
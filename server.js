@@ -2,45 +2,47 @@ import "dotenv/config";
 import express from "express";
 import cors from "cors";
 import fetch from "node-fetch";
+import promClient from "prom-client";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { AsyncLocalStorage } from "node:async_hooks";
 
 const app = express();
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+app.use((req, res, next) => {
+  const incoming = String(req.get("x-request-id") || "").trim();
+  const requestId = /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+  const store = { requestId, req };
+  res.set("X-Request-Id", requestId);
+  res.on("finish", () => {
+    const quiet = req.path === "/health" || req.path === "/metrics";
+    logContext.run(store, () =>
+      logger[quiet ? "debug" : "info"]("[HTTP] request completed", {
+        method: req.method,
+        status: res.statusCode,
+        duration_ms: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6),
+      })
+    );
+  });
+  logContext.run(store, next);
+});
 app.use(express.json({ limit: "5mb" }));
 
-const ALLOWED_ORIGINS = [
-  "https://eligibility.himplant.com",
-  "https://himplant.com",
-  "https://www.himplant.com",
-  "https://get.himplant.com",
-  "https://lovableproject.com",
-  "https://lovable.dev",
-  "https://bc248be2-fa03-4ded-a845-6db79ac12fb7.lovableproject.com",
-  "https://himplanteligibility.lovable.app",
-  "http://localhost:8080",
-  "http://localhost:3000",
-  "http://localhost:5173",
-  "http://127.0.0.1:8080",
-  "http://127.0.0.1:3000",
-  "http://127.0.0.1:5173",
-];
-
 app.use(
   cors({
     origin(origin, callback) {
       if (!origin) return callback(null, true);
-      if (ALLOWED_ORIGINS.includes(origin)) return callback(null, true);
-      if (origin.startsWith("http://localhost:") || origin.startsWith("http://127.0.0.1:")) {
-        return callback(null, true);
-      }
+      if (matchOriginPolicy(origin)) return callback(null, true);
       return callback(new Error("Not allowed by CORS"));
     },
     methods: ["GET", "POST", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Request-Id", "X-Captcha-Token", "X-Resume-Token"],
+    exposedHeaders: ["X-Request-Id"],
   })
 );
 
-const ZOHO_ACCOUNTS = "https://accounts.zoho.com";
-const ZOHO_API_BASE = "https://www.zohoapis.com";
-
 const {
   ZOHO_CLIENT_ID,
   ZOHO_CLIENT_SECRET,
@@ -50,12 +52,309 @@ const {
   SUPABASE_ELIGIBILITY_API_KEY,
   SUPABASE_FUNCTION_URL,
   SUPABASE_ANON_KEY,
+  ELIGIBILITY_RULES_VERSION,
+  STATE_DIR,
+  ADMIN_API_KEYS,
+  SUBMISSION_LOCK_STORE,
+  SUBMISSION_LOCK_DIR,
+  ZOHO_HISTORY_NOTES,
+  GEO_DATASET_PATH,
+  WEBHOOK_SUBSCRIPTIONS,
+  WEBHOOK_SUBSCRIPTIONS_PATH,
+  ZOHO_DATA_CENTER,
+  ZOHO_ENVIRONMENT,
+  ZOHO_ACCOUNTS_URL,
+  ZOHO_API_DOMAIN,
+  METRICS_TOKEN,
+  LOG_LEVEL,
+  CAPTCHA_VERIFY_URL,
+  CAPTCHA_SECRET,
+  ORIGIN_POLICY,
+  ORIGIN_POLICY_PATH,
+  APP_ENV,
+  ATTRIBUTION_RULES_PATH,
+  CONVERSION_NAME,
+  CONVERSION_CURRENCY,
+  CONVERSION_VALUES,
+  BOOKING_PROVIDERS_PATH,
+  PUBLIC_BASE_URL,
+  EXCHANGE_RATES_PATH,
+  PAYLOAD_VAULT_KEY,
+  RESUME_TOKEN_SECRET,
+  FORM_TOKEN_SECRET,
 } = process.env;
 
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const ACTIVE_LOG_LEVEL = Object.hasOwn(LOG_LEVELS, String(LOG_LEVEL || "").toLowerCase())
+  ? String(LOG_LEVEL).toLowerCase()
+  : String(DEBUG_ZOHO || "").toLowerCase() === "true"
+    ? "debug"
+    : "info";
+const LOG_SENSITIVE_KEY =
+  /e-?mail|phone|mobile|birth|dob|first_name|last_name|std|outbreak|^ed_|tobacco|procedure|medical|condition|body_type|questionnaire|description|note_content/i;
+// Zoho search paths carry criteria URL-encoded, so the encoded forms of @ and + are matched too.
+const LOG_EMAIL_PATTERN = /[^\s@()"':,&=]+(?:@|%40)[^\s@()"':,&=]+\.[a-z]{2,}/gi;
+const LOG_PHONE_PATTERN = /(?:\+|%2B)\d[\d\s().-]{6,18}\d/gi;
+
+// Data classification for submission fields. Fields not listed here are "unclassified" and are only
+// ever written in full to the encrypted payload vault.
+const SUBMISSION_FIELD_CATEGORIES = {
+  identity: ["first_name", "last_name"],
+  contact: [
+    "email",
+    "phone_country_code",
+    "phone_number",
+    "current_location_country",
+    "current_location_state",
+    "current_location_city",
+    "location_country",
+    "location_state",
+    "location_city",
+    "country",
+    "state",
+    "city",
+  ],
+  medical: [
+    "date_of_birth",
+    "circumcised",
+    "tobacco_use",
+    "ed_history",
+    "ed_maintain_with_or_without_meds",
+    "active_std",
+    "recent_outbreak_6mo",
+    "std_list",
+    "prior_procedure_list",
+    "medical_conditions_list",
+    "body_type",
+    "eligibility_flags",
+    "flags",
+    "eligibility_reasons",
+    "reasons",
+  ],
+  attribution: [
+    "lead_source",
+    "gclid",
+    "gclid2",
+    "gbraid",
+    "wbraid",
+    "fbclid",
+    "msclkid",
+    "gad_source",
+    "utm_source",
+    "utm_medium",
+    "utm_campaign",
+    "utm_content",
+    "utm_term",
+    "embed_source_url",
+    "landing_page_url",
+    "referrer",
+  ],
+  operational: [
+    "submission_type",
+    "session_id",
+    "idempotency_key",
+    "submitted_at",
+    "form_started_at",
+    "preferred_language",
+    "surgeon_id",
+    "surgeon_name",
+    "eligibility",
+    "eligibility_outcome",
+    "eligibility_result",
+    "outcome",
+    "result",
+    "payment_method",
+    "timeline",
+    "procedure_timeline",
+    "consent_version",
+    "consent_given_at",
+    "consent_medical",
+    "consent_marketing",
+  ],
+  secret: ["captcha_token", "form_token"],
+};
+const SUBMISSION_FIELD_CATEGORY = new Map(
+  Object.entries(SUBMISSION_FIELD_CATEGORIES).flatMap(([category, fields]) => fields.map((field) => [field, category]))
+);
+
+function parseDataCategories(value, fallback) {
+  const list = String(value || "")
+    .split(",")
+    .map((c) => c.trim().toLowerCase())
+    .filter((c) => c && c !== "secret");
+  return new Set(list.length ? list : fallback);
+}
+
+// Which categories each outgoing surface may include; everything else is replaced by a placeholder.
+const REDACTION_PROFILES = {
+  errorTask: parseDataCategories(process.env.ERROR_TASK_DATA_CATEGORIES, ["identity", "contact", "attribution", "operational"]),
+  digest: parseDataCategories(process.env.QUESTIONNAIRE_DIGEST_DATA_CATEGORIES, ["identity", "contact", "attribution", "operational"]),
+  debug: parseDataCategories(process.env.DEBUG_DATA_CATEGORIES, ["attribution", "operational"]),
+  resume: parseDataCategories(process.env.RESUME_DATA_CATEGORIES, ["identity", "operational"]),
+};
+
+function submissionFieldCategory(field) {
+  return SUBMISSION_FIELD_CATEGORY.get(field) || "unclassified";
+}
+
+function redactSubmission(submission, allowed) {
+  return Object.fromEntries(
+    Object.entries(submission || {}).map(([field, value]) => {
+      const category = submissionFieldCategory(field);
+      if (value === null || value === undefined || value === "" || allowed.has(category)) return [field, value];
+      return [field, `[redacted: ${category}]`];
+    })
+  );
+}
+const logContext = new AsyncLocalStorage();
+
+function hashForLog(value) {
+  return value ? crypto.createHash("sha256").update(String(value)).digest("hex").slice(0, 12) : undefined;
+}
+
+function redactLogText(text) {
+  return String(text).replace(LOG_EMAIL_PATTERN, "[email]").replace(LOG_PHONE_PATTERN, "[phone]");
+}
+
+function redactForLog(value, key = "", depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (key === "session_id") return hashForLog(value);
+  if (LOG_SENSITIVE_KEY.test(key)) return "[REDACTED]";
+  if (SUBMISSION_FIELD_CATEGORY.has(key) && !REDACTION_PROFILES.debug.has(SUBMISSION_FIELD_CATEGORY.get(key))) return "[REDACTED]";
+  if (typeof value === "string") return redactLogText(value);
+  if (value instanceof Error) return redactLogText(value.message);
+  if (typeof value !== "object") return value;
+  if (depth >= 6) return "[TRUNCATED]";
+  if (Array.isArray(value)) return value.map((v) => redactForLog(v, "", depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k === "session_id" ? "session_hash" : k, redactForLog(v, k, depth + 1)]));
+}
+
+function writeLog(level, message, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[ACTIVE_LOG_LEVEL]) return;
+  const text = String(message);
+  const component = text.match(/^\[([^\]]+)\]\s*/);
+  const store = logContext.getStore();
+  const entry = {
+    ts: new Date().toISOString(),
+    level,
+    component: component?.[1],
+    msg: redactLogText(component ? text.slice(component[0].length) : text),
+    request_id: store?.requestId,
+    route: store?.req ? store.req.route?.path || store.req.path : undefined,
+    session_hash: hashForLog(store?.sessionId),
+    lead_id: store?.leadId,
+    ...redactForLog(fields),
+  };
+  const line = JSON.stringify(entry) + "\n";
+  if (LOG_LEVELS[level] >= LOG_LEVELS.warn) process.stderr.write(line);
+  else process.stdout.write(line);
+}
+
+const logger = {
+  debug: (message, fields) => writeLog("debug", message, fields),
+  info: (message, fields) => writeLog("info", message, fields),
+  warn: (message, fields) => writeLog("warn", message, fields),
+  error: (message, fields) => writeLog("error", message, fields),
+};
+
+function setLogContext({ sessionId, leadId } = {}) {
+  const store = logContext.getStore();
+  if (!store) return;
+  if (sessionId) store.sessionId = sessionId;
+  if (leadId) store.leadId = String(leadId);
+}
+
+function errorText(e) {
+  return String(e?.message || e);
+}
+
+const ORIGIN_ENVIRONMENT = String(APP_ENV || process.env.NODE_ENV || "production").trim().toLowerCase();
+
+function compileOriginPattern(pattern) {
+  const escaped = String(pattern).trim().toLowerCase().replace(/\/+$/, "").replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+  const source = escaped.replace(/^(https?:\/\/)\*\\\./, "$1(?:[a-z0-9-]+\\.)+").replace(/:\*$/, ":\\d+");
+  if (source.includes("*")) throw new Error(`unsupported wildcard in origin pattern ${pattern}`);
+  return new RegExp(`^${source}$`);
+}
+
+function loadOriginPolicy() {
+  let config = {};
+  try {
+    const raw =
+      ORIGIN_POLICY ||
+      fs.readFileSync(ORIGIN_POLICY_PATH ? path.resolve(ORIGIN_POLICY_PATH) : new URL("./data/origin-policy.json", import.meta.url), "utf8");
+    config = JSON.parse(raw);
+  } catch (e) {
+    logger.error("[Origins] failed to load origin policy; only requests without an Origin header will be allowed", { error: errorText(e) });
+  }
+  const entries = [];
+  for (const entry of config.origins || []) {
+    if (Array.isArray(entry.environments) && !entry.environments.map((env) => String(env).toLowerCase()).includes(ORIGIN_ENVIRONMENT)) continue;
+    try {
+      entries.push({
+        origin: String(entry.origin),
+        pattern: compileOriginPattern(entry.origin),
+        wildcard: String(entry.origin).includes("*"),
+        leadSource: nullableText(entry.lead_source),
+        preferredLanguage: nullableText(entry.preferred_language),
+      });
+    } catch (e) {
+      logger.error("[Origins] skipping invalid origin entry", { error: errorText(e) });
+    }
+  }
+  // Exact origins win over wildcard patterns so a specific entry can override a subdomain default.
+  return entries.sort((a, b) => Number(a.wildcard) - Number(b.wildcard));
+}
+
+const originPolicy = loadOriginPolicy();
+
+function matchOriginPolicy(origin) {
+  const normalized = String(origin || "").trim().toLowerCase();
+  if (!normalized) return null;
+  return originPolicy.find((entry) => entry.pattern.test(normalized)) || null;
+}
+
+function getOriginDefaults(origin) {
+  const entry = matchOriginPolicy(origin);
+  return { leadSource: entry?.leadSource || null, preferredLanguage: entry?.preferredLanguage || null };
+}
+
+const ZOHO_DATA_CENTERS = {
+  com: { accounts: "https://accounts.zoho.com", api: "https://www.zohoapis.com" },
+  eu: { accounts: "https://accounts.zoho.eu", api: "https://www.zohoapis.eu" },
+  in: { accounts: "https://accounts.zoho.in", api: "https://www.zohoapis.in" },
+  "com.au": { accounts: "https://accounts.zoho.com.au", api: "https://www.zohoapis.com.au" },
+  jp: { accounts: "https://accounts.zoho.jp", api: "https://www.zohoapis.jp" },
+  ca: { accounts: "https://accounts.zohocloud.ca", api: "https://www.zohoapis.ca" },
+};
+const ZOHO_ENVIRONMENT_HOSTS = { production: "www", sandbox: "sandbox", developer: "developer" };
+
+function resolveZohoOption(value, options, fallback, label) {
+  const key = String(value || "").trim().toLowerCase();
+  if (!key) return fallback;
+  if (Object.hasOwn(options, key)) return key;
+  logger.error(`[Zoho] unknown ${label} "${value}", falling back to ${fallback}`);
+  return fallback;
+}
+
+const ZOHO_DC = resolveZohoOption(ZOHO_DATA_CENTER, ZOHO_DATA_CENTERS, "com", "ZOHO_DATA_CENTER");
+const ZOHO_ENV = resolveZohoOption(ZOHO_ENVIRONMENT, ZOHO_ENVIRONMENT_HOSTS, "production", "ZOHO_ENVIRONMENT");
+
+// Sandbox and developer orgs share the production accounts server but live on their own API host.
+function withZohoEnvironmentHost(apiDomain) {
+  const url = new URL(apiDomain);
+  url.hostname = url.hostname.replace(/^[^.]+\./, `${ZOHO_ENVIRONMENT_HOSTS[ZOHO_ENV]}.`);
+  return url.origin;
+}
+
+const ZOHO_ACCOUNTS = (ZOHO_ACCOUNTS_URL || ZOHO_DATA_CENTERS[ZOHO_DC].accounts).replace(/\/+$/, "");
+let zohoApiBase = (ZOHO_API_DOMAIN || withZohoEnvironmentHost(ZOHO_DATA_CENTERS[ZOHO_DC].api)).replace(/\/+$/, "");
+
 const ELIGIBILITY_WEBHOOK_URL =
   SUPABASE_FUNCTION_URL || "https://nfoeswlppebvxaomfnsk.supabase.co/functions/v1/eligibility-complete";
 
 const DEBUG = String(DEBUG_ZOHO || "").toLowerCase() === "true";
+const ZOHO_HISTORY_NOTES_ENABLED = String(ZOHO_HISTORY_NOTES || "").toLowerCase() === "true";
 
 const MODULE_SURGEONS = "Surgeons";
 const MODULE_LEADS = "Leads";
@@ -72,6 +371,7 @@ const FIELD_STATE = "State";
 const FIELD_CITY = "City";
 const FIELD_NAME = "Name";
 const FIELD_PRICE = "Surgery_Price";
+const FIELD_CURRENCY = "Currency";
 const FIELD_BOOK_EN = "Consult_Booking_EN";
 const FIELD_BOOK_ES = "Consult_Booking_ES";
 const FIELD_BOOK_AR = "Consult_Booking_AR";
@@ -82,16 +382,156 @@ const FIELD_LEAD_SURGEON_NAME = "Pick_Your_Surgeon";
 const FIELD_LEAD_PREFERRED_LANGUAGE = "Preferred_Language";
 const FIELD_LEAD_MEDICAL_CONDITION_LIST = "Medical_Condition_List";
 
+// Local stores cache their entries in memory and assume they are the only writer, so STATE_DIR must belong to
+// a single process. Instances that share locks point SUBMISSION_LOCK_DIR at a common directory instead.
+const STATE_PATH = path.resolve(STATE_DIR || ".state");
+const SUBMISSION_LOCK_PATH = SUBMISSION_LOCK_DIR ? path.resolve(SUBMISSION_LOCK_DIR) : path.join(STATE_PATH, "submission-locks");
+
+const OUTBOX_MAX_ATTEMPTS = toPositiveInt(process.env.OUTBOX_MAX_ATTEMPTS, 8);
+const OUTBOX_BASE_DELAY_MS = toPositiveInt(process.env.OUTBOX_BASE_DELAY_MS, 30_000);
+const OUTBOX_MAX_DELAY_MS = toPositiveInt(process.env.OUTBOX_MAX_DELAY_MS, 30 * 60_000);
+const OUTBOX_POLL_INTERVAL_MS = toPositiveInt(process.env.OUTBOX_POLL_INTERVAL_MS, 15_000);
+const OUTBOX_DELIVERED_RETENTION_MS = 24 * 60 * 60_000;
+const PENDING_SUBMISSION_TTL_MS = toPositiveInt(process.env.PENDING_SUBMISSION_TTL_MS, 60 * 60_000);
+const PENDING_POLL_INTERVAL_MS = toPositiveInt(process.env.PENDING_POLL_INTERVAL_MS, 30_000);
+const PENDING_RESOLVED_RETENTION_MS = 24 * 60 * 60_000;
+
+const ZOHO_SEARCH_PER_PAGE = 200;
+const ZOHO_SEARCH_MAX_PAGES = toPositiveInt(process.env.ZOHO_SEARCH_MAX_PAGES, 10);
+
+const ZOHO_TIMEOUT_MS = toPositiveInt(process.env.ZOHO_TIMEOUT_MS, 15_000);
+const ZOHO_MAX_RETRIES = toPositiveInt(process.env.ZOHO_MAX_RETRIES, 3);
+const ZOHO_RETRY_BASE_MS = toPositiveInt(process.env.ZOHO_RETRY_BASE_MS, 500);
+const ZOHO_RETRY_MAX_MS = toPositiveInt(process.env.ZOHO_RETRY_MAX_MS, 10_000);
+const ZOHO_BREAKER_THRESHOLD = toPositiveInt(process.env.ZOHO_BREAKER_THRESHOLD, 5);
+const ZOHO_BREAKER_COOLDOWN_MS = toPositiveInt(process.env.ZOHO_BREAKER_COOLDOWN_MS, 30_000);
+const ZOHO_IDEMPOTENT_METHODS = new Set(["GET", "PUT", "DELETE"]);
+
+const WEBHOOK_TIMEOUT_MS = 10_000;
+const WEBHOOK_MAX_ATTEMPTS = toPositiveInt(process.env.WEBHOOK_MAX_ATTEMPTS, 6);
+const WEBHOOK_BASE_DELAY_MS = toPositiveInt(process.env.WEBHOOK_BASE_DELAY_MS, 30_000);
+const WEBHOOK_LOG_RETENTION_MS = 7 * 24 * 60 * 60_000;
+
+const SURGEON_DIRECTORY_TTL_MS = toPositiveInt(process.env.SURGEON_DIRECTORY_TTL_MS, 10 * 60_000);
+const SURGEON_DIRECTORY_REFRESH_INTERVAL_MS = toPositiveInt(process.env.SURGEON_DIRECTORY_REFRESH_INTERVAL_MS, 5 * 60_000);
+const NEARBY_DEFAULT_RADIUS_KM = 80;
+const NEARBY_MAX_RADIUS_KM = 2000;
+const SURGEON_DIRECTORY_CACHE_MAX_AGE_S = toPositiveInt(process.env.SURGEON_DIRECTORY_CACHE_MAX_AGE_S, 300);
+
 const inFlightSubmissions = new Map();
-const recentSubmissionResults = new Map();
 const IN_FLIGHT_TTL_MS = 15_000;
+const FAILURE_RETENTION_DAYS = toPositiveInt(process.env.FAILURE_RETENTION_DAYS, 90);
+const HISTORY_RETENTION_DAYS = toPositiveInt(process.env.HISTORY_RETENTION_DAYS, 365);
 const RECENT_RESULT_TTL_MS = 20_000;
+const IDEMPOTENCY_TTL_MS = toPositiveInt(process.env.IDEMPOTENCY_TTL_MS, 24 * 60 * 60_000);
+const LOCK_WAIT_MS = 5_000;
+
+const RATE_LIMIT_IP_PER_MINUTE = toPositiveInt(process.env.RATE_LIMIT_IP_PER_MINUTE, 20);
+const RATE_LIMIT_IP_BURST = toPositiveInt(process.env.RATE_LIMIT_IP_BURST, 10);
+const RATE_LIMIT_SESSION_PER_MINUTE = toPositiveInt(process.env.RATE_LIMIT_SESSION_PER_MINUTE, 10);
+const RATE_LIMIT_SESSION_BURST = toPositiveInt(process.env.RATE_LIMIT_SESSION_BURST, 5);
+const HONEYPOT_FIELD = process.env.HONEYPOT_FIELD || "website";
+const MIN_FILL_TIME_MS = toPositiveInt(process.env.MIN_FILL_TIME_MS, 3_000);
+const FORM_TOKEN_TTL_MS = toPositiveInt(process.env.FORM_TOKEN_TTL_MS, 24 * 60 * 60_000);
+// Off by default so clients that send neither a form token nor form_started_at keep working.
+const FORM_START_REQUIRED = String(process.env.FORM_START_REQUIRED || "").toLowerCase() === "true";
+const CAPTCHA_TIMEOUT_MS = 5_000;
+const CAPTCHA_REQUIRED_TYPES = String(process.env.CAPTCHA_REQUIRED_TYPES || "lead")
+  .split(",")
+  .map((t) => t.trim())
+  .filter(Boolean);
+const CONSENT_REQUIRED = String(process.env.CONSENT_REQUIRED ?? "true").toLowerCase() === "true";
+const RESUME_TOKEN_TTL_DAYS = toPositiveInt(process.env.RESUME_TOKEN_TTL_DAYS, 30);
+
+const metricsRegistry = new promClient.Registry();
+promClient.collectDefaultMetrics({ register: metricsRegistry });
+
+const metrics = {
+  submissions: new promClient.Counter({
+    name: "himplant_submissions_total",
+    help: "Submissions received by type and outcome",
+    labelNames: ["type", "outcome"],
+    registers: [metricsRegistry],
+  }),
+  matchedBy: new promClient.Counter({
+    name: "himplant_submission_matched_by_total",
+    help: "How successful submissions were matched to a lead",
+    labelNames: ["type", "matched_by"],
+    registers: [metricsRegistry],
+  }),
+  removedFields: new promClient.Counter({
+    name: "himplant_zoho_removed_fields_total",
+    help: "Fields stripped from lead payloads after Zoho rejected them",
+    labelNames: ["operation", "api_name"],
+    registers: [metricsRegistry],
+  }),
+  duplicateRecoveries: new promClient.Counter({
+    name: "himplant_duplicate_recoveries_total",
+    help: "Lead creates rejected as duplicates and recovered as updates",
+    labelNames: ["matched_by"],
+    registers: [metricsRegistry],
+  }),
+  zohoRequestDuration: new promClient.Histogram({
+    name: "himplant_zoho_request_duration_seconds",
+    help: "Zoho API request latency by method, path and status",
+    labelNames: ["method", "path", "status"],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20],
+    registers: [metricsRegistry],
+  }),
+  tokenRefreshes: new promClient.Counter({
+    name: "himplant_zoho_token_refreshes_total",
+    help: "Zoho access token refreshes by result",
+    labelNames: ["result"],
+    registers: [metricsRegistry],
+  }),
+  pendingSubmissions: new promClient.Counter({
+    name: "himplant_pending_submissions_total",
+    help: "Partial and complete submissions parked until their lead exists, by event",
+    labelNames: ["event"],
+    registers: [metricsRegistry],
+  }),
+  submissionLock: new promClient.Counter({
+    name: "himplant_submission_lock_events_total",
+    help: "Submission lock outcomes, including idempotency cache hits",
+    labelNames: ["event"],
+    registers: [metricsRegistry],
+  }),
+  blockedSubmissions: new promClient.Counter({
+    name: "himplant_blocked_submissions_total",
+    help: "Submissions blocked by abuse protection before reaching Zoho",
+    labelNames: ["reason"],
+    registers: [metricsRegistry],
+  }),
+  webhookDeliveries: new promClient.Counter({
+    name: "himplant_webhook_deliveries_total",
+    help: "Webhook delivery attempts by subscriber and resulting status",
+    labelNames: ["subscriber", "status"],
+    registers: [metricsRegistry],
+  }),
+};
+
+// Record ids would make label cardinality unbounded, so they are collapsed to :id.
+// `/crm/v2/<Module>/<id>/<RelatedList>/<id>`: every record id is collapsed so label cardinality stays bounded.
+function zohoMetricsPath(p) {
+  const parts = String(p).split("?")[0].split("/");
+  if (parts[1] !== "crm") return parts.join("/");
+  return parts.map((seg, i) => (i >= 4 && i % 2 === 0 && seg !== "search" ? ":id" : seg)).join("/");
+}
 
 let cachedAccessToken = null;
 let tokenExpiresAt = 0;
 
-function debugLog(...args) {
-  if (DEBUG) console.log(...args);
+// req.ip keys the per-IP rate limit, so X-Forwarded-For is ignored unless TRUST_PROXY says how many proxies
+// to trust. On Render, which puts one load balancer in front of the service, set TRUST_PROXY=1.
+function parseTrustProxy(value) {
+  const raw = String(value || "false").trim();
+  if (raw === "true" || raw === "false") return raw === "true";
+  return /^\d+$/.test(raw) ? Number(raw) : raw;
+}
+
+function toPositiveInt(v, fallback) {
+  const n = Number.parseInt(String(v ?? "").trim(), 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
 }
 
 function digitsOnly(s) {
@@ -140,8 +580,8 @@ function boolToYesNo(v) {
   return null;
 }
 
-function normalizePreferredLanguageForZoho(v) {
-  const s = String(v || "").trim();
+function normalizePreferredLanguageForZoho(v, fallback = null) {
+  const s = String(v || "").trim() || String(fallback || "").trim();
   if (!s) return null;
   const lower = s.toLowerCase();
   if (lower === "english" || lower === "en") return "English";
@@ -198,41 +638,245 @@ function toMultilineText(value) {
   return s ? s : null;
 }
 
-const ISO_TO_DIAL = {
-  US: "1",
-  CA: "1",
-  MX: "52",
-  CO: "57",
-  AE: "971",
-  SA: "966",
-  JO: "962",
-  GB: "44",
-  ES: "34",
-  FR: "33",
-  DE: "49",
-  IT: "39",
-  BR: "55",
-  AR: "54",
-  CL: "56",
-  PE: "51",
-  EC: "593",
-  PA: "507",
-  CR: "506",
-  DO: "1",
-};
+function loadPhoneCountries() {
+  try {
+    return JSON.parse(fs.readFileSync(new URL("./data/phone-countries.json", import.meta.url), "utf8"));
+  } catch (e) {
+    logger.error("[Phone] failed to load calling code table", { error: errorText(e) });
+    return { primary_by_dial: {}, countries: {} };
+  }
+}
 
-function normalizePhoneE164(countryCodeOrDial, phoneNumber) {
-  const raw = String(phoneNumber || "").trim();
-  if (raw.startsWith("+")) {
-    const cleaned = "+" + digitsOnly(raw);
-    return cleaned.length > 1 ? cleaned : "";
+const PHONE_DATA = loadPhoneCountries();
+const PHONE_COUNTRIES = PHONE_DATA.countries;
+const PHONE_COUNTRY_BY_DIAL = new Map();
+for (const [iso, info] of Object.entries(PHONE_COUNTRIES)) {
+  if (!PHONE_COUNTRY_BY_DIAL.has(info.dial)) PHONE_COUNTRY_BY_DIAL.set(info.dial, PHONE_DATA.primary_by_dial[info.dial] || iso);
+}
+
+function phoneLengthOk(info, nsn) {
+  return nsn.length >= info.lengths[0] && nsn.length <= info.lengths[1];
+}
+
+function splitInternationalDigits(digits) {
+  for (let len = 1; len <= 3; len++) {
+    const iso = PHONE_COUNTRY_BY_DIAL.get(digits.slice(0, len));
+    if (iso) return { iso, nsn: digits.slice(len) };
   }
-  const pn = digitsOnly(raw);
+  return null;
+}
+
+// Strips whatever a user may have typed in front of the national number:
+// the country's own dial code, legacy prefixes (e.g. Mexico's 044/045/1) and the trunk prefix.
+function toNationalNumber(info, digits) {
+  let nsn = digits;
+  if (nsn.startsWith(info.dial) && !phoneLengthOk(info, nsn) && phoneLengthOk(info, nsn.slice(info.dial.length))) {
+    nsn = nsn.slice(info.dial.length);
+  }
+  for (const prefix of info.strip_prefixes || []) {
+    if (nsn.startsWith(prefix) && !phoneLengthOk(info, nsn) && phoneLengthOk(info, nsn.slice(prefix.length))) {
+      nsn = nsn.slice(prefix.length);
+    }
+  }
+  if (info.trunk && nsn.startsWith(info.trunk) && phoneLengthOk(info, nsn.slice(info.trunk.length))) {
+    nsn = nsn.slice(info.trunk.length);
+  }
+  return nsn;
+}
+
+function phoneTypeHint(info, nsn) {
+  if (info.pattern || !info.mobile) return info.pattern ? "fixed_line_or_mobile" : "unknown";
+  return info.mobile.some((prefix) => nsn.startsWith(prefix)) ? "mobile" : "fixed_line";
+}
+
+function parsePhoneNumber(countryCodeOrDial, phoneNumber) {
+  const raw = String(phoneNumber || "").trim();
+  const result = { e164: "", valid: false, type: "unknown", country: null, reason: null };
+  if (!digitsOnly(raw)) return { ...result, reason: "missing" };
+
   const ccRaw = String(countryCodeOrDial || "").trim().toUpperCase();
-  const dial = ISO_TO_DIAL[ccRaw] || (digitsOnly(ccRaw) ? digitsOnly(ccRaw) : "");
-  if (!dial && !pn) return "";
-  if (!dial) return pn ? `+${pn}` : "";
-  return pn ? `+${dial}${pn}` : `+${dial}`;
+  let iso = null;
+  let nsn = "";
+  if (raw.startsWith("+") || raw.startsWith("00")) {
+    const international = raw.startsWith("+") ? digitsOnly(raw) : digitsOnly(raw).slice(2);
+    const split = splitInternationalDigits(international);
+    if (!split) return { ...result, e164: `+${international}`, reason: "unknown_calling_code" };
+    // A shared calling code (+1, +44, +7 ...) keeps the caller's country when it matches.
+    iso = PHONE_COUNTRIES[ccRaw]?.dial === PHONE_COUNTRIES[split.iso].dial ? ccRaw : split.iso;
+    nsn = toNationalNumber(PHONE_COUNTRIES[iso], split.nsn);
+  } else {
+    const ccDigits = digitsOnly(ccRaw);
+    iso = PHONE_COUNTRIES[ccRaw] ? ccRaw : PHONE_COUNTRY_BY_DIAL.get(ccDigits) || null;
+    if (!iso) {
+      const split = splitInternationalDigits(digitsOnly(raw));
+      if (!split) return { ...result, e164: `+${digitsOnly(raw)}`, reason: "unknown_country" };
+      iso = split.iso;
+      nsn = toNationalNumber(PHONE_COUNTRIES[iso], split.nsn);
+    } else {
+      nsn = toNationalNumber(PHONE_COUNTRIES[iso], digitsOnly(raw));
+    }
+  }
+
+  const info = PHONE_COUNTRIES[iso];
+  const e164 = `+${info.dial}${nsn}`;
+  let reason = null;
+  if (!phoneLengthOk(info, nsn)) reason = nsn.length < info.lengths[0] ? "too_short" : "too_long";
+  else if (info.pattern && !new RegExp(info.pattern).test(nsn)) reason = "invalid_pattern";
+  else if (info.trunk === "0" && nsn.startsWith("0")) reason = "invalid_pattern";
+  else if (e164.length > 16) reason = "too_long";
+  return { e164, valid: !reason, type: reason ? "unknown" : phoneTypeHint(info, nsn), country: iso, reason };
+}
+
+function normalizePhoneE164(countryCodeOrDial, phoneNumber) {
+  const parsed = parsePhoneNumber(countryCodeOrDial, phoneNumber);
+  return parsed.valid ? parsed.e164 : "";
+}
+
+function toSurgeonListItem(record, lang, displayCurrency = null) {
+  const bookingUrl = pickBookingUrl(record, lang);
+  return {
+    id: record.id,
+    name: record?.[FIELD_NAME] || "",
+    ...describeSurgeonPrice(record, lang, displayCurrency),
+    bookingAvailable: !!bookingUrl,
+    bookingUrl: bookingUrl || null,
+  };
+}
+
+function loadExchangeRates() {
+  const file = EXCHANGE_RATES_PATH ? path.resolve(EXCHANGE_RATES_PATH) : new URL("./data/exchange-rates.json", import.meta.url);
+  try {
+    const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    return { asOf: raw.as_of || null, base: raw.base || "USD", rates: raw.rates || {}, currencyByCountry: raw.currency_by_country || {} };
+  } catch (e) {
+    logger.error("[Currency] failed to load exchange rates", { error: errorText(e) });
+    return { asOf: null, base: "USD", rates: {}, currencyByCountry: {} };
+  }
+}
+
+const EXCHANGE_RATES = loadExchangeRates();
+const PRICE_LOCALES = { en: "en-US", es: "es", ar: "ar" };
+
+function normalizeCurrencyCode(value) {
+  const s = String(value || "").trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(s) ? s : null;
+}
+
+function surgeonCurrency(record) {
+  return normalizeCurrencyCode(record?.[FIELD_CURRENCY]) || EXCHANGE_RATES.currencyByCountry[resolveCountryIso(record?.[FIELD_COUNTRY])] || null;
+}
+
+function formatPrice(amount, currency, lang) {
+  try {
+    return new Intl.NumberFormat(PRICE_LOCALES[lang] || lang || "en-US", { style: "currency", currency, maximumFractionDigits: 0 }).format(amount);
+  } catch {
+    return `${Math.round(amount)} ${currency}`;
+  }
+}
+
+function convertAmount(amount, from, to) {
+  const fromRate = EXCHANGE_RATES.rates[from];
+  const toRate = EXCHANGE_RATES.rates[to];
+  if (!fromRate || !toRate) return null;
+  return { amount: Math.round((amount / fromRate) * toRate), rate: toRate / fromRate };
+}
+
+// `price` stays the bare Zoho number for existing clients; the other fields are additive.
+function describeSurgeonPrice(record, lang, displayCurrency) {
+  const price = record?.[FIELD_PRICE] ?? null;
+  const amount = Number(price);
+  const currency = surgeonCurrency(record);
+  if (price === null || !Number.isFinite(amount) || !currency) {
+    return { price, currency, priceFormatted: null, priceConverted: null };
+  }
+  let priceConverted = null;
+  if (displayCurrency && displayCurrency !== currency) {
+    const converted = convertAmount(amount, currency, displayCurrency);
+    priceConverted = converted && {
+      amount: converted.amount,
+      currency: displayCurrency,
+      formatted: formatPrice(converted.amount, displayCurrency, lang),
+      rate: Number(converted.rate.toPrecision(6)),
+      rates_as_of: EXCHANGE_RATES.asOf,
+    };
+  }
+  return { price, currency, priceFormatted: formatPrice(amount, currency, lang), priceConverted };
+}
+
+function parseDisplayCurrency(value) {
+  const raw = String(value || "").trim();
+  if (!raw) return { currency: null };
+  const currency = normalizeCurrencyCode(raw);
+  if (!currency || !EXCHANGE_RATES.rates[currency]) {
+    return { error: `currency must be one of: ${Object.keys(EXCHANGE_RATES.rates).join(", ")}` };
+  }
+  return { currency };
+}
+
+function geoKey(...parts) {
+  return parts.map((p) => String(p || "").trim().toLowerCase()).join("|");
+}
+
+function loadGeoDataset() {
+  const file = GEO_DATASET_PATH ? path.resolve(GEO_DATASET_PATH) : new URL("./data/geo-places.json", import.meta.url);
+  let raw = {};
+  try {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    logger.error("[Geo] failed to load geocoding dataset", { error: errorText(e) });
+  }
+  const countries = raw.countries || {};
+  const cities = new Map();
+  for (const c of raw.cities || []) {
+    cities.set(geoKey(c.country, c.state, c.city), c);
+    if (!cities.has(geoKey(c.country, "", c.city))) cities.set(geoKey(c.country, "", c.city), c);
+  }
+  return {
+    countries,
+    isoByName: new Map(Object.entries(countries).map(([iso, name]) => [name.toLowerCase(), iso])),
+    cities,
+    postalCodes: raw.postal_codes || {},
+  };
+}
+
+const GEO_DATASET = loadGeoDataset();
+
+function resolveCountryIso(value) {
+  const s = String(value || "").trim();
+  if (!s) return null;
+  if (GEO_DATASET.countries[s.toUpperCase()]) return s.toUpperCase();
+  return GEO_DATASET.isoByName.get(s.toLowerCase()) || null;
+}
+
+// Postal tables are keyed by prefix; the longest matching prefix wins.
+function geocodePostalCode(countryIso, postalCode) {
+  const table = GEO_DATASET.postalCodes[countryIso];
+  if (!table) return null;
+  let code = String(postalCode || "").toUpperCase().replace(/[\s-]/g, "");
+  if (countryIso === "US") code = code.slice(0, 5);
+  for (let len = code.length; len > 0; len--) {
+    const hit = table[code.slice(0, len)];
+    if (hit) return { lat: hit[0], lng: hit[1], matched: code.slice(0, len) };
+  }
+  return null;
+}
+
+function surgeonCoordinates(record) {
+  const lat = Number(record?.Latitude);
+  const lng = Number(record?.Longitude);
+  if (Number.isFinite(lat) && Number.isFinite(lng) && (lat || lng)) return { lat, lng };
+  const city =
+    GEO_DATASET.cities.get(geoKey(record?.[FIELD_COUNTRY], record?.[FIELD_STATE], record?.[FIELD_CITY])) ||
+    GEO_DATASET.cities.get(geoKey(record?.[FIELD_COUNTRY], "", record?.[FIELD_CITY]));
+  return city ? { lat: city.lat, lng: city.lng } : null;
+}
+
+function haversineKm(a, b) {
+  const rad = (d) => (d * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
 }
 
 function getCurrentCountry(submission) {
@@ -269,6 +913,105 @@ function safeJsonStringify(obj, maxLen = 28000) {
   return s;
 }
 
+// Small JSON-file-backed keyed store for local state that must survive restarts.
+// Each entry is its own file under STATE_DIR/<name>/, so a mutation only rewrites that entry (tmp + rename)
+// instead of the whole store. Reads are served from memory.
+function createJsonFileStore(name) {
+  const dir = path.join(STATE_PATH, name);
+  const legacyFile = path.join(STATE_PATH, `${name}.json`);
+  const fileFor = (id) => path.join(dir, `${encodeURIComponent(id)}.json`);
+  let entries = null;
+  let writeChain = Promise.resolve();
+
+  function readEntries() {
+    const map = new Map();
+    let names = [];
+    try {
+      names = fs.readdirSync(dir).filter((n) => n.endsWith(".json"));
+    } catch (e) {
+      if (e.code !== "ENOENT") logger.error(`[State] failed to read ${dir}`, { error: errorText(e) });
+    }
+    for (const n of names) {
+      try {
+        const entry = JSON.parse(fs.readFileSync(path.join(dir, n), "utf8"));
+        map.set(entry.id, entry);
+      } catch (e) {
+        logger.error(`[State] failed to read ${path.join(dir, n)}`, { error: errorText(e) });
+      }
+    }
+    return map;
+  }
+
+  // Earlier builds kept a whole store in one <name>.json; it is split into entry files once and then removed.
+  function migrateLegacyFile(map) {
+    let legacy;
+    try {
+      legacy = JSON.parse(fs.readFileSync(legacyFile, "utf8"));
+    } catch (e) {
+      if (e.code !== "ENOENT") logger.error(`[State] failed to read ${legacyFile}`, { error: errorText(e) });
+      return;
+    }
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      for (const [id, value] of Object.entries(legacy)) {
+        if (map.has(id)) continue;
+        const entry = { ...value, id };
+        fs.writeFileSync(fileFor(id), JSON.stringify(entry));
+        map.set(id, entry);
+      }
+      fs.rmSync(legacyFile, { force: true });
+      logger.info(`[State] migrated ${legacyFile} to ${dir}`, { entries: map.size });
+    } catch (e) {
+      logger.error(`[State] failed to migrate ${legacyFile}`, { error: errorText(e) });
+    }
+  }
+
+  function load() {
+    if (entries) return entries;
+    entries = readEntries();
+    migrateLegacyFile(entries);
+    return entries;
+  }
+
+  function persist(id, entry) {
+    const file = fileFor(id);
+    const body = entry ? JSON.stringify(entry) : null;
+    writeChain = writeChain
+      .then(async () => {
+        if (body === null) return fs.promises.rm(file, { force: true });
+        await fs.promises.mkdir(dir, { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, body);
+        await fs.promises.rename(tmp, file);
+      })
+      .catch((e) => logger.error(`[State] failed to write ${file}`, { error: errorText(e) }));
+    return writeChain;
+  }
+
+  return {
+    get: (id) => load().get(id) || null,
+    values: () => Array.from(load().values()),
+    async put(id, value) {
+      const entry = { ...value, id };
+      load().set(id, entry);
+      await persist(id, entry);
+      return entry;
+    },
+    async remove(id) {
+      if (load().delete(id)) await persist(id, null);
+    },
+    async removeWhere(predicate) {
+      const removed = Array.from(load().values()).filter(predicate);
+      for (const entry of removed) {
+        load().delete(entry.id);
+        persist(entry.id, null);
+      }
+      await writeChain;
+      return removed;
+    },
+  };
+}
+
 function shouldCreateErrorTasks() {
   if (CREATE_ZOHO_ERROR_TASKS === undefined) return true;
   return String(CREATE_ZOHO_ERROR_TASKS).toLowerCase() === "true";
@@ -307,35 +1050,81 @@ function normalizeLeadSourceForZoho(value) {
   return s;
 }
 
-function deriveLeadSource(submission) {
-  const signals = [
-    submission.gclid,
-    submission.gclid2,
-    submission.gbraid,
-    submission.wbraid,
-    submission.gad_source,
-    submission.utm_source,
-    submission.embed_source_url,
-    submission.landing_page_url,
-    submission.referrer,
-    submission.lead_source,
-  ]
-    .map((x) => String(x || "").toLowerCase())
-    .join(" ");
-
-  if (
-    submission.gclid ||
-    submission.gclid2 ||
-    submission.gbraid ||
-    submission.wbraid ||
-    submission.gad_source ||
-    signals.includes("get.himplant.com") ||
-    signals.includes("google")
-  ) {
-    return "Google Ads";
+function loadAttributionRules() {
+  const file = ATTRIBUTION_RULES_PATH ? path.resolve(ATTRIBUTION_RULES_PATH) : new URL("./data/attribution-rules.json", import.meta.url);
+  try {
+    const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    return {
+      internalHosts: raw.internal_hosts || [],
+      fallbackChannel: raw.fallback_channel || "Direct",
+      rules: Array.isArray(raw.rules) ? raw.rules : [],
+    };
+  } catch (e) {
+    logger.error("[Attribution] failed to load attribution rules", { error: errorText(e) });
+    return { internalHosts: [], fallbackChannel: "Direct", rules: [] };
+  }
+}
+
+const attributionRules = loadAttributionRules();
+
+function hostMatches(host, patterns) {
+  return patterns.some((p) => {
+    const pattern = String(p).toLowerCase();
+    if (pattern.endsWith(".*")) {
+      const base = pattern.slice(0, -2).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      return new RegExp(`(^|\\.)${base}\\.[a-z]{2,}(\\.[a-z]{2})?$`).test(host);
+    }
+    return host === pattern || host.endsWith(`.${pattern}`);
+  });
+}
+
+function collectAttributionSignals(submission) {
+  const landingPage = normalizeUrl(submission.landing_page_url || submission.embed_source_url);
+  let landingParams = new URLSearchParams();
+  try {
+    if (landingPage) landingParams = new URL(landingPage).searchParams;
+  } catch {
+    // Not an absolute URL; only the submitted parameters are used.
+  }
+  return {
+    param: (name) => nullableText(submission[name]) || nullableText(landingParams.get(name)),
+    landingPage,
+    landingHost: normalizeHostFromValue(landingPage),
+    referrerHost: normalizeHostFromValue(submission.referrer),
+    leadSource: nullableText(submission.lead_source),
+  };
+}
+
+function attributionRuleMatches(rule, signals) {
+  const inList = (value, list) => Boolean(value) && list.some((v) => v === "*" || String(v).toLowerCase() === value.toLowerCase());
+  if (rule.any_param && !rule.any_param.some((name) => signals.param(name))) return false;
+  if (rule.utm_source && !inList(signals.param("utm_source"), rule.utm_source)) return false;
+  if (rule.utm_medium && !inList(signals.param("utm_medium"), rule.utm_medium)) return false;
+  if (rule.referrer_host && !(signals.referrerHost && hostMatches(signals.referrerHost, rule.referrer_host))) return false;
+  if (rule.landing_host && !(signals.landingHost && hostMatches(signals.landingHost, rule.landing_host))) return false;
+  if (rule.external_referrer && !(signals.referrerHost && !hostMatches(signals.referrerHost, attributionRules.internalHosts))) return false;
+  if (rule.lead_source && !signals.leadSource) return false;
+  return true;
+}
+
+function classifyAttribution(submission, originDefaults = {}) {
+  const signals = collectAttributionSignals(submission);
+  for (const rule of attributionRules.rules) {
+    if (!attributionRuleMatches(rule, signals)) continue;
+    const channel = rule.channel === "$lead_source" ? normalizeLeadSourceForZoho(signals.leadSource) : rule.channel;
+    return { channel, matched: true, landingPage: signals.landingPage };
   }
+  return { channel: originDefaults.leadSource || attributionRules.fallbackChannel, matched: false, landingPage: signals.landingPage };
+}
 
-  return normalizeLeadSourceForZoho(submission.lead_source || submission.embed_source_url || submission.landing_page_url || submission.referrer);
+// A questionnaire step that carries no attribution at all says nothing about how the visitor arrived.
+function hasAttributionSignals(submission) {
+  const touch = classifyAttribution(submission);
+  return touch.matched || Boolean(touch.landingPage);
+}
+
+function deriveLeadSource(submission, originDefaults = {}) {
+  return classifyAttribution(submission, originDefaults).channel;
 }
 
 function getOutcomeValue(submission) {
@@ -352,73 +1141,471 @@ function getEligibilityValue(submission) {
   return firstText(submission.eligibility, submission.eligibility_outcome, submission.outcome, submission.result);
 }
 
-function preserveExistingLeadSource(lead, payload) {
-  const existingLeadSource = nullableText(lead?.Lead_Source);
-  if (!existingLeadSource) return payload;
-  const { Lead_Source, ...rest } = payload || {};
-  return rest;
+const ELIGIBILITY_ELIGIBLE = "Eligible";
+const ELIGIBILITY_NOT_ELIGIBLE = "Not Eligible";
+const ELIGIBILITY_NEEDS_REVIEW = "Needs Review";
+
+// Strongest effect wins: disqualify > defer > review > flag.
+const ELIGIBILITY_EFFECTS = {
+  disqualify: { rank: 4, eligibility: ELIGIBILITY_NOT_ELIGIBLE, outcome: "Declined" },
+  defer: { rank: 3, eligibility: ELIGIBILITY_NOT_ELIGIBLE, outcome: "Deferred" },
+  review: { rank: 2, eligibility: ELIGIBILITY_NEEDS_REVIEW, outcome: "Manual Review" },
+  flag: { rank: 1, eligibility: ELIGIBILITY_ELIGIBLE, outcome: "Approved" },
+};
+
+const ELIGIBILITY_RULE_SETS = {
+  v1: {
+    minimumAge: 18,
+    rules: [
+      {
+        id: "under_minimum_age",
+        effect: "disqualify",
+        reason: "Applicant is under the minimum age of 18.",
+        test: (a, set) => a.age !== null && a.age < set.minimumAge,
+      },
+      {
+        id: "missing_date_of_birth",
+        effect: "review",
+        completeOnly: true,
+        reason: "Date of birth is missing or unreadable.",
+        test: (a) => a.age === null,
+      },
+      {
+        id: "active_std",
+        effect: "defer",
+        reason: "Active STD must be treated before surgery.",
+        test: (a) => a.activeStd === true,
+      },
+      {
+        id: "recent_outbreak",
+        effect: "defer",
+        reason: "STD outbreak within the last 6 months.",
+        test: (a) => a.recentOutbreak === true,
+      },
+      {
+        id: "ed_unmanaged",
+        effect: "disqualify",
+        reason: "Cannot maintain an erection with or without medication.",
+        test: (a) => a.edHistory === true && a.canMaintainErection === false,
+      },
+      {
+        id: "ed_history",
+        effect: "flag",
+        reason: "History of erectile dysfunction, managed.",
+        test: (a) => a.edHistory === true && a.canMaintainErection !== false,
+      },
+      {
+        id: "tobacco_use",
+        effect: "flag",
+        reason: "Tobacco use increases surgical risk; cessation advised.",
+        test: (a) => a.tobaccoUse === true,
+      },
+      {
+        id: "prior_procedures",
+        effect: "review",
+        reason: "Prior penile procedures require surgeon review.",
+        test: (a) => a.priorProcedures.length > 0,
+      },
+      {
+        id: "medical_conditions",
+        effect: "review",
+        reason: "Reported medical conditions require surgeon review.",
+        test: (a) => a.medicalConditions.length > 0,
+      },
+      {
+        id: "body_type_obese",
+        effect: "review",
+        reason: "Body type may affect implant suitability.",
+        test: (a) => a.bodyType === "obese",
+      },
+    ],
+  },
+};
+
+const DEFAULT_ELIGIBILITY_RULES_VERSION = "v1";
+
+function getEligibilityRuleSet() {
+  const version = String(ELIGIBILITY_RULES_VERSION || DEFAULT_ELIGIBILITY_RULES_VERSION).trim();
+  if (ELIGIBILITY_RULE_SETS[version]) return { version, ...ELIGIBILITY_RULE_SETS[version] };
+  logger.error(`[Eligibility] unknown rules version ${version}, using ${DEFAULT_ELIGIBILITY_RULES_VERSION}`);
+  return { version: DEFAULT_ELIGIBILITY_RULES_VERSION, ...ELIGIBILITY_RULE_SETS[DEFAULT_ELIGIBILITY_RULES_VERSION] };
 }
 
-const ZOHO_TRIGGER = ["workflow", "blueprint"];
+function ageFromDateOfBirth(value, now = new Date()) {
+  const s = nullableText(value);
+  if (!s) return null;
+  const m = s.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  const dob = m ? new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]))) : new Date(s);
+  if (Number.isNaN(dob.getTime()) || dob > now) return null;
+  let age = now.getUTCFullYear() - dob.getUTCFullYear();
+  const monthDiff = now.getUTCMonth() - dob.getUTCMonth();
+  if (monthDiff < 0 || (monthDiff === 0 && now.getUTCDate() < dob.getUTCDate())) age -= 1;
+  return age;
+}
 
-async function getAccessToken() {
-  const now = Date.now();
-  if (cachedAccessToken && now < tokenExpiresAt - 60_000) return cachedAccessToken;
-  if (!ZOHO_CLIENT_ID || !ZOHO_CLIENT_SECRET || !ZOHO_REFRESH_TOKEN) {
-    throw new Error("Missing Zoho env vars");
-  }
-  const params = new URLSearchParams({
-    refresh_token: ZOHO_REFRESH_TOKEN,
-    client_id: ZOHO_CLIENT_ID,
-    client_secret: ZOHO_CLIENT_SECRET,
-    grant_type: "refresh_token",
-  });
-  const res = await fetch(`${ZOHO_ACCOUNTS}/oauth/v2/token?${params.toString()}`, { method: "POST" });
-  const data = await res.json().catch(() => ({}));
-  if (!res.ok || !data.access_token) {
-    throw new Error(`Zoho token refresh failed: ${JSON.stringify(data)}`);
-  }
-  cachedAccessToken = data.access_token;
-  tokenExpiresAt = Date.now() + (data.expires_in || 3600) * 1000;
-  return cachedAccessToken;
+function yesNoToBool(v) {
+  const yn = boolToYesNo(v);
+  if (yn === "Yes") return true;
+  if (yn === "No") return false;
+  return null;
 }
 
-async function zohoRequest(method, path, body) {
-  const token = await getAccessToken();
-  const res = await fetch(`${ZOHO_API_BASE}${path}`, {
-    method,
-    headers: {
-      Authorization: `Zoho-oauthtoken ${token}`,
-      ...(body ? { "Content-Type": "application/json" } : {}),
-    },
-    body: body ? JSON.stringify(body) : undefined,
-  });
-  const text = await res.text();
-  let data;
+function meaningfulListItems(value) {
+  const list = toZohoJsonArray(value) || [];
+  return list.filter((x) => !["none", "no", "n/a", "na", "nothing"].includes(x.toLowerCase()));
+}
+
+function collectEligibilityAnswers(submission) {
+  return {
+    age: ageFromDateOfBirth(submission.date_of_birth),
+    activeStd: yesNoToBool(submission.active_std),
+    recentOutbreak: yesNoToBool(submission.recent_outbreak_6mo),
+    edHistory: yesNoToBool(submission.ed_history),
+    canMaintainErection: yesNoToBool(submission.ed_maintain_with_or_without_meds),
+    tobaccoUse: yesNoToBool(submission.tobacco_use),
+    priorProcedures: meaningfulListItems(submission.prior_procedure_list),
+    medicalConditions: meaningfulListItems(submission.medical_conditions_list),
+    bodyType: String(submission.body_type || "").trim().toLowerCase() || null,
+  };
+}
+
+function normalizeEligibilityCategory(value) {
+  const s = String(value || "").trim().toLowerCase().replace(/[_-]+/g, " ");
+  if (!s) return null;
+  if (["eligible", "approved", "qualified", "yes", "pass"].includes(s)) return "eligible";
+  if (["not eligible", "ineligible", "declined", "deferred", "disqualified", "no", "fail"].includes(s)) return "not_eligible";
+  if (["needs review", "review", "manual review", "maybe", "pending review"].includes(s)) return "review";
+  return s;
+}
+
+function evaluateEligibility(submission, type) {
+  const ruleSet = getEligibilityRuleSet();
+  const answers = collectEligibilityAnswers(submission);
+  const isComplete = type === "complete";
+  const triggered = ruleSet.rules.filter((rule) => (isComplete || !rule.completeOnly) && rule.test(answers, ruleSet));
+  const strongest = triggered.reduce((best, rule) => {
+    const effect = ELIGIBILITY_EFFECTS[rule.effect];
+    return !best || effect.rank > best.rank ? effect : best;
+  }, null);
+
+  // Partial submissions only carry a server verdict once something has already ruled the applicant out.
+  const decided = isComplete || (strongest && strongest.rank >= ELIGIBILITY_EFFECTS.defer.rank);
+  const verdict = strongest || ELIGIBILITY_EFFECTS.flag;
+  const server = {
+    rules_version: ruleSet.version,
+    eligibility: decided ? verdict.eligibility : null,
+    outcome: decided ? verdict.outcome : null,
+    flags: triggered.map((rule) => rule.id),
+    reasons: triggered.map((rule) => rule.reason),
+  };
+
+  const client = {
+    eligibility: getEligibilityValue(submission),
+    outcome: getOutcomeValue(submission),
+    flags: toMultilineText(submission.eligibility_flags || submission.flags),
+    reasons: toMultilineText(submission.eligibility_reasons || submission.reasons),
+  };
+
+  const serverCategory = normalizeEligibilityCategory(server.eligibility);
+  const clientCategory = normalizeEligibilityCategory(client.eligibility);
+  const mismatch = Boolean(serverCategory && clientCategory && serverCategory !== clientCategory);
+
+  return { ...server, client, mismatch };
+}
+
+function mapEligibilityFields(evaluation) {
+  return {
+    Eligibility: evaluation.eligibility,
+    Outcome: evaluation.outcome,
+    Eligibility_Flags: evaluation.flags.length ? evaluation.flags.join("\n") : null,
+    Eligibility_Reasons: evaluation.reasons.length ? evaluation.reasons.join("\n") : null,
+    Eligibility_Rules_Version: evaluation.rules_version,
+    Client_Eligibility: evaluation.client.eligibility,
+    Client_Outcome: evaluation.client.outcome,
+    Client_Eligibility_Flags: evaluation.client.flags,
+    Client_Eligibility_Reasons: evaluation.client.reasons,
+    Eligibility_Mismatch: evaluation.client.eligibility && evaluation.eligibility ? boolToYesNo(evaluation.mismatch) : null,
+  };
+}
+
+function preserveExistingLeadSource(lead, payload, submission) {
+  const existingLeadSource = nullableText(lead?.Lead_Source);
+  const rest = { ...(payload || {}) };
+  if (existingLeadSource) delete rest.Lead_Source;
+  if (nullableText(lead?.First_Touch_Channel)) {
+    delete rest.First_Touch_Channel;
+    delete rest.First_Touch_Landing_Page;
+  } else if (existingLeadSource) {
+    // Leads created before touch tracking: their Lead_Source is the best record of the first touch.
+    rest.First_Touch_Channel = existingLeadSource;
+    delete rest.First_Touch_Landing_Page;
+    if (nullableText(lead?.Landing_Page_URL)) rest.First_Touch_Landing_Page = lead.Landing_Page_URL;
+  }
+  if (!hasAttributionSignals(submission)) {
+    delete rest.Last_Touch_Channel;
+    delete rest.Last_Touch_Landing_Page;
+  }
+  return rest;
+}
+
+const ZOHO_TRIGGER = ["workflow", "blueprint"];
+
+const zohoBreaker = { state: "closed", failures: 0, openedAt: 0, probing: false, lastError: null };
+let tokenRefreshPromise = null;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function fetchWithTimeout(url, options, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
   try {
-    data = text ? JSON.parse(text) : {};
-  } catch {
-    data = { raw: text };
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (e) {
+    if (e?.name === "AbortError") throw new Error(`Zoho request timed out after ${timeoutMs}ms`);
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function refreshAccessToken() {
+  if (!ZOHO_CLIENT_ID || !ZOHO_CLIENT_SECRET || !ZOHO_REFRESH_TOKEN) {
+    throw new Error("Missing Zoho env vars");
+  }
+  const params = new URLSearchParams({
+    refresh_token: ZOHO_REFRESH_TOKEN,
+    client_id: ZOHO_CLIENT_ID,
+    client_secret: ZOHO_CLIENT_SECRET,
+    grant_type: "refresh_token",
+  });
+  let res;
+  try {
+    res = await fetchWithTimeout(`${ZOHO_ACCOUNTS}/oauth/v2/token?${params.toString()}`, { method: "POST" }, ZOHO_TIMEOUT_MS);
+  } catch (e) {
+    metrics.tokenRefreshes.inc({ result: "error" });
+    throw e;
+  }
+  const data = await res.json().catch(() => ({}));
+  metrics.tokenRefreshes.inc({ result: res.ok && data.access_token ? "success" : "failure" });
+  if (!res.ok || !data.access_token) {
+    const err = new Error(`Zoho token refresh failed: ${JSON.stringify(data)}`);
+    if (!res.ok) err.httpStatus = res.status;
+    throw err;
+  }
+  cachedAccessToken = data.access_token;
+  tokenExpiresAt = Date.now() + (data.expires_in || 3600) * 1000;
+  if (data.api_domain && !ZOHO_API_DOMAIN) {
+    const apiBase = withZohoEnvironmentHost(data.api_domain);
+    if (apiBase !== zohoApiBase) logger.info(`[Zoho] using api domain ${apiBase} from token response`);
+    zohoApiBase = apiBase;
+  }
+  logger.debug("[Zoho] access token refreshed");
+  return cachedAccessToken;
+}
+
+async function getAccessToken() {
+  if (cachedAccessToken && Date.now() < tokenExpiresAt - 60_000) return cachedAccessToken;
+  if (!tokenRefreshPromise) {
+    tokenRefreshPromise = refreshAccessToken().finally(() => {
+      tokenRefreshPromise = null;
+    });
+  }
+  return tokenRefreshPromise;
+}
+
+function invalidateAccessToken(token) {
+  if (cachedAccessToken === token) {
+    cachedAccessToken = null;
+    tokenExpiresAt = 0;
+  }
+}
+
+function parseRetryDelayMs(res) {
+  const retryAfter = res.headers.get("retry-after");
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (Number.isFinite(ms) && ms >= 0) return ms;
+  }
+  const reset = Number(res.headers.get("x-ratelimit-reset"));
+  if (Number.isFinite(reset) && reset > 0) {
+    // Zoho sends an epoch timestamp in ms; tolerate seconds and relative values too.
+    const ms = reset > 1e12 ? reset - Date.now() : reset > 1e9 ? reset * 1000 - Date.now() : reset * 1000;
+    if (ms >= 0) return ms;
+  }
+  return null;
+}
+
+function backoffDelayMs(attempt, hintMs) {
+  const exp = Math.min(ZOHO_RETRY_BASE_MS * 2 ** attempt, ZOHO_RETRY_MAX_MS);
+  const jittered = exp / 2 + Math.random() * (exp / 2);
+  return Math.min(Math.max(jittered, hintMs ?? 0), ZOHO_RETRY_MAX_MS);
+}
+
+function acquireZohoCircuit() {
+  if (zohoBreaker.state === "closed") return;
+  if (zohoBreaker.state === "open" && Date.now() - zohoBreaker.openedAt >= ZOHO_BREAKER_COOLDOWN_MS) {
+    zohoBreaker.state = "half_open";
+  }
+  if (zohoBreaker.state === "half_open" && !zohoBreaker.probing) {
+    zohoBreaker.probing = true;
+    return;
+  }
+  const err = new Error("Zoho circuit breaker is open");
+  err.circuitOpen = true;
+  throw err;
+}
+
+function recordZohoOutcome(ok, error) {
+  zohoBreaker.probing = false;
+  if (ok) {
+    if (zohoBreaker.state !== "closed") logger.info("[Zoho] circuit closed");
+    zohoBreaker.state = "closed";
+    zohoBreaker.failures = 0;
+    return;
+  }
+  zohoBreaker.failures += 1;
+  zohoBreaker.lastError = String(error?.message || error);
+  if (zohoBreaker.state === "half_open" || zohoBreaker.failures >= ZOHO_BREAKER_THRESHOLD) {
+    if (zohoBreaker.state !== "open") {
+      logger.error(`[Zoho] circuit opened after ${zohoBreaker.failures} consecutive failures`, { error: zohoBreaker.lastError });
+    }
+    zohoBreaker.state = "open";
+    zohoBreaker.openedAt = Date.now();
   }
-  if (!res.ok) {
+}
+
+function getZohoClientStatus() {
+  return {
+    circuit: zohoBreaker.state,
+    consecutive_failures: zohoBreaker.failures,
+    opened_at: zohoBreaker.state === "closed" ? null : new Date(zohoBreaker.openedAt).toISOString(),
+    last_error: zohoBreaker.lastError,
+    data_center: ZOHO_DC,
+    environment: ZOHO_ENV,
+    api_domain: zohoApiBase,
+    token_cached: Boolean(cachedAccessToken && Date.now() < tokenExpiresAt),
+  };
+}
+
+async function sendZohoRequest(method, path, body) {
+  let reauthed = false;
+  for (let attempt = 0; ; attempt++) {
+    const token = await getAccessToken();
+    const stopTimer = metrics.zohoRequestDuration.startTimer({ method, path: zohoMetricsPath(path) });
+    let res;
+    try {
+      res = await fetchWithTimeout(
+        `${zohoApiBase}${path}`,
+        {
+          method,
+          headers: {
+            Authorization: `Zoho-oauthtoken ${token}`,
+            ...(body ? { "Content-Type": "application/json" } : {}),
+          },
+          body: body ? JSON.stringify(body) : undefined,
+        },
+        ZOHO_TIMEOUT_MS
+      );
+    } catch (e) {
+      stopTimer({ status: "error" });
+      // Network errors and timeouts may have reached Zoho, so only idempotent methods are retried.
+      if (ZOHO_IDEMPOTENT_METHODS.has(method) && attempt < ZOHO_MAX_RETRIES) {
+        logger.debug(`[Zoho] ${method} ${path} failed; retry ${attempt + 1}`, { error: errorText(e) });
+        await sleep(backoffDelayMs(attempt));
+        continue;
+      }
+      throw e;
+    }
+    const text = await res.text();
+    stopTimer({ status: String(res.status) });
+    let data;
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch {
+      data = { raw: text };
+    }
+    if (res.ok) return data;
+
+    if (res.status === 401 && data?.code === "INVALID_TOKEN" && !reauthed) {
+      reauthed = true;
+      invalidateAccessToken(token);
+      attempt--;
+      continue;
+    }
+    const retryable = res.status === 429 || (res.status >= 500 && ZOHO_IDEMPOTENT_METHODS.has(method));
+    if (retryable && attempt < ZOHO_MAX_RETRIES) {
+      const delay = backoffDelayMs(attempt, res.status === 429 ? parseRetryDelayMs(res) : null);
+      logger.debug(`[Zoho] ${method} ${path} -> ${res.status}; retry ${attempt + 1} in ${Math.round(delay)}ms`, { zoho_http: res.status });
+      await sleep(delay);
+      continue;
+    }
     const err = new Error(`Zoho API error ${res.status}`);
     err.zoho = data;
     err.httpStatus = res.status;
     throw err;
   }
-  return data;
+}
+
+async function zohoRequest(method, path, body) {
+  acquireZohoCircuit();
+  try {
+    const data = await sendZohoRequest(method, path, body);
+    recordZohoOutcome(true);
+    return data;
+  } catch (e) {
+    const status = e?.httpStatus;
+    // Client errors mean Zoho is up and answering; only outages count against the breaker.
+    recordZohoOutcome(Boolean(status) && status < 500 && status !== 429, e);
+    throw e;
+  }
 }
 
 const zohoGET = (path) => zohoRequest("GET", path);
 const zohoPOST = (path, body) => zohoRequest("POST", path, body);
 const zohoPUT = (path, body) => zohoRequest("PUT", path, body);
+const zohoDELETE = (path) => zohoRequest("DELETE", path);
+
+async function zohoSearchAll(module, criteria, { maxPages = ZOHO_SEARCH_MAX_PAGES } = {}) {
+  const records = [];
+  for (let page = 1; page <= maxPages; page++) {
+    const data = await zohoGET(
+      `/crm/v2/${module}/search?criteria=${encodeURIComponent(criteria)}&page=${page}&per_page=${ZOHO_SEARCH_PER_PAGE}`
+    );
+    records.push(...(data?.data || []));
+    if (!data?.info?.more_records) return records;
+  }
+  logger.warn(`[Zoho search] ${module} ${criteria} stopped at page cap ${maxPages} with more records available`);
+  return records;
+}
+
+function pickMostRecentlyModified(records) {
+  const timeOf = (r) => Date.parse(r?.Modified_Time || r?.Created_Time || "") || 0;
+  return (
+    [...records].sort((a, b) => timeOf(b) - timeOf(a) || String(b?.id || "").localeCompare(String(a?.id || "")))[0] || null
+  );
+}
+
+async function searchLatestLead(criteria) {
+  const records = await zohoSearchAll(MODULE_LEADS, criteria);
+  if (records.length > 1) logger.debug(`[Zoho search] ${records.length} leads match ${criteria}; using most recently modified`);
+  return pickMostRecentlyModified(records);
+}
+
+async function getSurgeonRecord(surgeonId) {
+  const cached = surgeonDirectory.byId.get(String(surgeonId));
+  if (cached) return cached;
+  const record = await zohoGET(`/crm/v2/${MODULE_SURGEONS}/${surgeonId}`);
+  return record?.data?.[0] || null;
+}
 
 async function fetchSurgeonAlias(surgeonId) {
   const id = String(surgeonId || "").trim();
   if (!id) return null;
   try {
-    const record = await zohoGET(`/crm/v2/${MODULE_SURGEONS}/${id}`);
-    const s = record?.data?.[0];
+    const s = await getSurgeonRecord(id);
     if (!s) return null;
     const alias = String(s?.[FIELD_SURGEON_ALIAS] || "").trim();
     return alias || null;
@@ -427,19 +1614,22 @@ async function fetchSurgeonAlias(surgeonId) {
   }
 }
 
-async function createZohoErrorTask({ leadId, submissionType, sessionId, email, phoneE164, errorMessage, zohoDetails, submissionPayload }) {
-  if (!shouldCreateErrorTasks()) return;
+async function createZohoErrorTask({ leadId, submissionType, sessionId, email, phoneE164, errorMessage, zohoDetails, submissionPayload, payloadId }) {
+  if (!shouldCreateErrorTasks()) return null;
+  const showContact = REDACTION_PROFILES.errorTask.has("contact");
   const subjectBits = [
     "Eligibility API Error",
     submissionType ? `(${submissionType})` : "",
-    email ? `email:${email}` : "",
-    phoneE164 ? `phone:${phoneE164}` : "",
+    showContact && email ? `email:${email}` : "",
+    showContact && phoneE164 ? `phone:${phoneE164}` : "",
   ].filter(Boolean);
   const description =
     `Error Message:\n${errorMessage || "(none)"}\n\n` +
     `Zoho Details:\n${safeJsonStringify(zohoDetails || {}, 8000)}\n\n` +
-    `Context:\nsession_id=${sessionId || ""}\nemail=${email || ""}\nphone=${phoneE164 || ""}\n\n` +
-    `Payload:\n${safeJsonStringify(submissionPayload || {}, 28000)}`;
+    `Context:\nsession_id=${sessionId || ""}\n` +
+    (showContact ? `email=${email || ""}\nphone=${phoneE164 || ""}\n` : "") +
+    `payload_id=${payloadId || ""}\n\n` +
+    `Payload (redacted):\n${safeJsonStringify(redactSubmission(submissionPayload, REDACTION_PROFILES.errorTask), 28000)}`;
   const taskRecord = pruneEmpty({
     Subject: subjectBits.join(" ").trim() || "Eligibility API Error",
     Status: "Backlogged",
@@ -448,9 +1638,22 @@ async function createZohoErrorTask({ leadId, submissionType, sessionId, email, p
     Who_Id: leadId || null,
   });
   try {
-    await zohoPOST(`/crm/v2/${MODULE_TASKS}`, { trigger: ZOHO_TRIGGER, data: [taskRecord] });
+    const resp = await zohoPOST(`/crm/v2/${MODULE_TASKS}`, { trigger: ZOHO_TRIGGER, data: [taskRecord] });
+    return resp?.data?.[0]?.details?.id || null;
+  } catch (e) {
+    logger.error("[Zoho Task] failed", { error: errorText(e), zoho_code: e?.zoho?.code });
+    return null;
+  }
+}
+
+async function completeZohoErrorTask(taskId) {
+  if (!taskId) return false;
+  try {
+    const resp = await zohoPUT(`/crm/v2/${MODULE_TASKS}/${taskId}`, { data: [{ Status: "Completed" }] });
+    return resp?.data?.[0]?.status === "success";
   } catch (e) {
-    console.error("[Zoho Task] failed:", String(e.message || e));
+    logger.error(`[Zoho Task] failed to complete ${taskId}`, { error: errorText(e), zoho_code: e?.zoho?.code });
+    return false;
   }
 }
 
@@ -458,6 +1661,8 @@ async function notifySupabaseEligibilityComplete(email) {
   if (!SUPABASE_ELIGIBILITY_API_KEY) return { success: false, reason: "not_configured" };
   if (!SUPABASE_ANON_KEY) return { success: false, reason: "anon_key_not_configured" };
   if (!email) return { success: false, reason: "no_email" };
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
   try {
     const response = await fetch(ELIGIBILITY_WEBHOOK_URL, {
       method: "POST",
@@ -466,26 +1671,302 @@ async function notifySupabaseEligibilityComplete(email) {
         Authorization: `Bearer ${SUPABASE_ANON_KEY}`,
       },
       body: JSON.stringify({ email, api_key: SUPABASE_ELIGIBILITY_API_KEY }),
+      signal: controller.signal,
     });
     const data = await response.json().catch(() => ({}));
     if (!response.ok) return { success: false, reason: "request_failed", status: response.status, data };
     return { success: true, data };
   } catch (err) {
     return { success: false, reason: "exception", error: err.message };
+  } finally {
+    clearTimeout(timer);
   }
 }
 
-app.get("/health", (req, res) => res.json({ ok: true }));
+const WEBHOOK_EVENTS = ["lead.created", "lead.updated", "submission.partial", "submission.complete", "submission.failed"];
+const webhookDeliveryStore = createJsonFileStore("webhook-deliveries");
+let webhookWorkerRunning = false;
+let webhookWorkerRerun = false;
 
-app.get("/api/geo/countries", async (req, res) => {
+function loadWebhookSubscriptions() {
+  let raw = WEBHOOK_SUBSCRIPTIONS || "[]";
+  try {
+    if (WEBHOOK_SUBSCRIPTIONS_PATH) raw = fs.readFileSync(path.resolve(WEBHOOK_SUBSCRIPTIONS_PATH), "utf8");
+    const list = JSON.parse(raw);
+    if (!Array.isArray(list)) throw new Error("expected a JSON array");
+    return list
+      .filter((sub) => sub && sub.enabled !== false && sub.url)
+      .map((sub, i) => ({
+        id: String(sub.id || `webhook-${i + 1}`),
+        type: "http",
+        url: String(sub.url),
+        secret: String(sub.secret || ""),
+        events: Array.isArray(sub.events) && sub.events.length ? sub.events.map(String) : ["*"],
+      }));
+  } catch (e) {
+    logger.error("[Webhooks] invalid subscription config", { error: errorText(e) });
+    return [];
+  }
+}
+
+// The Supabase eligibility-complete call predates the webhook registry; it is a built-in subscriber
+// with its own payload format instead of the signed event envelope.
+const WEBHOOK_SUBSCRIBERS = [
+  {
+    id: "supabase-eligibility",
+    type: "builtin",
+    events: ["submission.complete"],
+    async deliver(event) {
+      const result = await notifySupabaseEligibilityComplete(event.data.email);
+      const retryable = !result.success && (result.reason === "exception" || result.status === 429 || result.status >= 500);
+      const skipped = ["not_configured", "anon_key_not_configured", "no_email"].includes(result.reason);
+      return { ok: result.success, skipped, retryable, httpStatus: result.status || null, error: result.reason || null, result };
+    },
+  },
+  ...loadWebhookSubscriptions(),
+];
+
+function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+async function deliverHttpWebhook(subscriber, event) {
+  const body = JSON.stringify(event);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    "Content-Type": "application/json",
+    "X-Himplant-Event": event.type,
+    "X-Himplant-Delivery": event.id,
+  };
+  if (subscriber.secret) headers["X-Himplant-Signature"] = `t=${timestamp},v1=${signWebhookPayload(subscriber.secret, timestamp, body)}`;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+  try {
+    const response = await fetch(subscriber.url, { method: "POST", headers, body, signal: controller.signal });
+    const ok = response.ok;
+    return {
+      ok,
+      retryable: !ok && (response.status === 429 || response.status >= 500),
+      httpStatus: response.status,
+      error: ok ? null : `http_${response.status}`,
+    };
+  } catch (e) {
+    return { ok: false, retryable: true, httpStatus: null, error: String(e?.message || e) };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function attemptWebhookDelivery(subscriber, delivery) {
+  const outcome =
+    subscriber.type === "builtin" ? await subscriber.deliver(delivery.event) : await deliverHttpWebhook(subscriber, delivery.event);
+  const attempts = delivery.attempts + 1;
+  const now = new Date().toISOString();
+  let status = outcome.ok ? "delivered" : outcome.skipped ? "skipped" : outcome.retryable ? "retrying" : "failed";
+  if (status === "retrying" && attempts >= WEBHOOK_MAX_ATTEMPTS) status = "dead";
+  const nextAttemptAt =
+    status === "retrying" ? new Date(Date.now() + Math.min(WEBHOOK_BASE_DELAY_MS * 2 ** (attempts - 1), 60 * 60_000)).toISOString() : null;
+  const log = [...(delivery.log || []), { at: now, http_status: outcome.httpStatus, error: outcome.error }].slice(-WEBHOOK_MAX_ATTEMPTS);
+  await webhookDeliveryStore.put(delivery.id, { ...delivery, status, attempts, updated_at: now, next_attempt_at: nextAttemptAt, log });
+  metrics.webhookDeliveries.inc({ subscriber: subscriber.id, status });
+  if (status === "dead" || status === "failed") {
+    logger.error(`[Webhooks] ${subscriber.id} ${delivery.event.type} ${status} after ${attempts} attempt(s)`, { error: outcome.error });
+  }
+  return outcome;
+}
+
+// Deliveries are only persisted here; the worker makes every attempt, including the first, so a slow
+// subscriber never holds up the request or its submission lock.
+async function emitWebhookEvent(type, data) {
+  const event = { id: crypto.randomUUID(), type, created_at: new Date().toISOString(), data };
+  const subscribers = WEBHOOK_SUBSCRIBERS.filter((sub) => sub.events.includes("*") || sub.events.includes(type));
+  const results = {};
+  for (const subscriber of subscribers) {
+    try {
+      const delivery = await webhookDeliveryStore.put(`${event.id}:${subscriber.id}`, {
+        subscriber_id: subscriber.id,
+        event,
+        status: "pending",
+        attempts: 0,
+        created_at: event.created_at,
+        next_attempt_at: event.created_at,
+      });
+      results[subscriber.id] = { queued: true, delivery_id: delivery.id };
+    } catch (e) {
+      logger.error(`[Webhooks] ${subscriber.id} ${type} could not be queued`, { error: errorText(e) });
+    }
+  }
+  if (Object.keys(results).length) setImmediate(processWebhookRetries);
+  return results;
+}
+
+async function processWebhookRetries() {
+  if (webhookWorkerRunning) {
+    webhookWorkerRerun = true;
+    return;
+  }
+  webhookWorkerRunning = true;
+  webhookWorkerRerun = false;
   try {
-    const data = await zohoGET(`/crm/v2/${MODULE_SURGEONS}/search?criteria=${encodeURIComponent(`(${FIELD_ACTIVE}:equals:true)`)}`);
-    const countries = new Set();
-    for (const r of data?.data || []) {
-      const c = String(r?.[FIELD_COUNTRY] || "").trim();
-      if (c) countries.add(c);
+    const now = Date.now();
+    for (const delivery of webhookDeliveryStore.values()) {
+      if (delivery.status !== "pending" && delivery.status !== "retrying") {
+        if (Date.parse(delivery.updated_at || delivery.created_at) + WEBHOOK_LOG_RETENTION_MS < now) await webhookDeliveryStore.remove(delivery.id);
+        continue;
+      }
+      if (Date.parse(delivery.next_attempt_at) > now) continue;
+      const subscriber = WEBHOOK_SUBSCRIBERS.find((sub) => sub.id === delivery.subscriber_id);
+      if (!subscriber) {
+        await webhookDeliveryStore.put(delivery.id, { ...delivery, status: "failed", next_attempt_at: null });
+        continue;
+      }
+      await attemptWebhookDelivery(subscriber, delivery);
+    }
+  } catch (e) {
+    logger.error("[Webhooks] retry worker failed", { error: errorText(e) });
+  } finally {
+    webhookWorkerRunning = false;
+    if (webhookWorkerRerun) setImmediate(processWebhookRetries);
+  }
+}
+
+function timingSafeEqualText(a, b) {
+  const left = Buffer.from(String(a || ""));
+  const right = Buffer.from(String(b || ""));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function getAdminCredential(req) {
+  const header = String(req.get("authorization") || "");
+  if (/^bearer\s+/i.test(header)) return header.replace(/^bearer\s+/i, "").trim();
+  return String(req.get("x-api-key") || "").trim();
+}
+
+function requireAdmin(req, res, next) {
+  const keys = String(ADMIN_API_KEYS || "")
+    .split(",")
+    .map((k) => k.trim())
+    .filter(Boolean);
+  if (!keys.length) return res.status(503).json({ error: "admin api is not configured" });
+  const credential = getAdminCredential(req);
+  if (!credential || !keys.some((k) => timingSafeEqualText(k, credential))) {
+    return res.status(401).json({ error: "unauthorized" });
+  }
+  next();
+}
+
+app.get("/metrics", async (req, res) => {
+  if (METRICS_TOKEN) {
+    const credential = getAdminCredential(req);
+    if (!credential || !timingSafeEqualText(METRICS_TOKEN, credential)) return res.status(401).json({ error: "unauthorized" });
+  }
+  res.set("Content-Type", metricsRegistry.contentType);
+  res.send(await metricsRegistry.metrics());
+});
+
+app.get("/health", (req, res) =>
+  res.json({
+    ok: true,
+    zoho: getZohoClientStatus(),
+    outbox: getOutboxStats(),
+    pending_submissions: getPendingStats(),
+    surgeon_directory: getSurgeonDirectoryStatus(),
+  })
+);
+
+const surgeonDirectory = {
+  records: [],
+  byId: new Map(),
+  loadedAt: 0,
+  version: null,
+  lastError: null,
+  refreshing: null,
+};
+
+async function fetchActiveSurgeons() {
+  return zohoSearchAll(MODULE_SURGEONS, `(${FIELD_ACTIVE}:equals:true)`);
+}
+
+function refreshSurgeonDirectory() {
+  if (surgeonDirectory.refreshing) return surgeonDirectory.refreshing;
+  surgeonDirectory.refreshing = (async () => {
+    try {
+      const records = await fetchActiveSurgeons();
+      surgeonDirectory.records = records;
+      surgeonDirectory.byId = new Map(records.map((r) => [String(r.id), r]));
+      surgeonDirectory.loadedAt = Date.now();
+      surgeonDirectory.version = crypto.createHash("sha1").update(JSON.stringify(records)).digest("hex").slice(0, 16);
+      surgeonDirectory.lastError = null;
+      logger.debug(`[Surgeon directory] loaded ${records.length} active surgeons`);
+      return surgeonDirectory;
+    } catch (e) {
+      surgeonDirectory.lastError = { message: String(e?.message || e), at: new Date().toISOString() };
+      logger.error("[Surgeon directory] refresh failed", { error: surgeonDirectory.lastError.message });
+      throw e;
+    } finally {
+      surgeonDirectory.refreshing = null;
     }
-    res.json(Array.from(countries).sort((a, b) => a.localeCompare(b)));
+  })();
+  return surgeonDirectory.refreshing;
+}
+
+async function getSurgeonDirectory() {
+  if (!surgeonDirectory.loadedAt) return refreshSurgeonDirectory();
+  if (Date.now() - surgeonDirectory.loadedAt > SURGEON_DIRECTORY_TTL_MS) {
+    // Serve what we have and refresh in the background; a failed refresh keeps the stale copy.
+    refreshSurgeonDirectory().catch(() => {});
+  }
+  return surgeonDirectory;
+}
+
+function getSurgeonDirectoryStatus() {
+  return {
+    count: surgeonDirectory.records.length,
+    loaded_at: surgeonDirectory.loadedAt ? new Date(surgeonDirectory.loadedAt).toISOString() : null,
+    version: surgeonDirectory.version,
+    stale: !surgeonDirectory.loadedAt || Date.now() - surgeonDirectory.loadedAt > SURGEON_DIRECTORY_TTL_MS,
+    last_error: surgeonDirectory.lastError,
+  };
+}
+
+function sameText(a, b) {
+  return String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+}
+
+function filterSurgeons(records, { country, state, city }) {
+  return records.filter((r) => {
+    if (country && !sameText(r?.[FIELD_COUNTRY], country)) return false;
+    if (country === "United States" && state && !sameText(r?.[FIELD_STATE], state)) return false;
+    if (city && !sameText(r?.[FIELD_CITY], city)) return false;
+    return true;
+  });
+}
+
+function distinctSorted(records, field) {
+  const values = new Set();
+  for (const r of records) {
+    const v = String(r?.[field] || "").trim();
+    if (v) values.add(v);
+  }
+  return Array.from(values).sort((a, b) => a.localeCompare(b));
+}
+
+function sendDirectoryJson(res, directory, body, { personalized = false } = {}) {
+  if (personalized) {
+    res.set("Cache-Control", "private, no-store");
+    return res.json(body);
+  }
+  const etag = crypto.createHash("sha1").update(`${directory.version}:${JSON.stringify(body)}`).digest("hex").slice(0, 27);
+  res.set("Cache-Control", `public, max-age=${SURGEON_DIRECTORY_CACHE_MAX_AGE_S}`);
+  res.set("ETag", `"${etag}"`);
+  // Express answers 304 on its own when If-None-Match matches the ETag set above.
+  return res.json(body);
+}
+
+app.get("/api/geo/countries", async (req, res) => {
+  try {
+    const directory = await getSurgeonDirectory();
+    sendDirectoryJson(res, directory, distinctSorted(directory.records, FIELD_COUNTRY));
   } catch {
     res.status(500).json({ error: "countries lookup failed" });
   }
@@ -496,14 +1977,8 @@ app.get("/api/geo/states", async (req, res) => {
     const country = String(req.query.country || "").trim();
     if (!country) return res.status(400).json({ error: "country is required" });
     if (country !== "United States") return res.json([]);
-    const criteria = `(${FIELD_ACTIVE}:equals:true) and (${FIELD_COUNTRY}:equals:${country})`;
-    const data = await zohoGET(`/crm/v2/${MODULE_SURGEONS}/search?criteria=${encodeURIComponent(criteria)}`);
-    const states = new Set();
-    for (const r of data?.data || []) {
-      const st = String(r?.[FIELD_STATE] || "").trim();
-      if (st) states.add(st);
-    }
-    res.json(Array.from(states).sort((a, b) => a.localeCompare(b)));
+    const directory = await getSurgeonDirectory();
+    sendDirectoryJson(res, directory, distinctSorted(filterSurgeons(directory.records, { country }), FIELD_STATE));
   } catch {
     res.status(500).json({ error: "states lookup failed" });
   }
@@ -514,17 +1989,8 @@ app.get("/api/geo/cities", async (req, res) => {
     const country = String(req.query.country || "").trim();
     const state = String(req.query.state || "").trim();
     if (!country) return res.status(400).json({ error: "country is required" });
-    let criteria = `(${FIELD_ACTIVE}:equals:true) and (${FIELD_COUNTRY}:equals:${country})`;
-    if (country === "United States" && state) {
-      criteria = `(${FIELD_ACTIVE}:equals:true) and (${FIELD_COUNTRY}:equals:${country}) and (${FIELD_STATE}:equals:${state})`;
-    }
-    const data = await zohoGET(`/crm/v2/${MODULE_SURGEONS}/search?criteria=${encodeURIComponent(criteria)}`);
-    const cities = new Set();
-    for (const r of data?.data || []) {
-      const city = String(r?.[FIELD_CITY] || "").trim();
-      if (city) cities.add(city);
-    }
-    res.json(Array.from(cities).sort((a, b) => a.localeCompare(b)));
+    const directory = await getSurgeonDirectory();
+    sendDirectoryJson(res, directory, distinctSorted(filterSurgeons(directory.records, { country, state }), FIELD_CITY));
   } catch {
     res.status(500).json({ error: "cities lookup failed" });
   }
@@ -538,77 +2004,320 @@ app.get("/api/surgeons", async (req, res) => {
     const lang = String(req.query.lang || "en").trim().toLowerCase();
     if (!country) return res.status(400).json({ error: "country is required" });
     if (!city) return res.status(400).json({ error: "city is required" });
-    let criteria = `(${FIELD_ACTIVE}:equals:true) and (${FIELD_COUNTRY}:equals:${country}) and (${FIELD_CITY}:equals:${city})`;
-    if (country === "United States" && state) {
-      criteria = `(${FIELD_ACTIVE}:equals:true) and (${FIELD_COUNTRY}:equals:${country}) and (${FIELD_STATE}:equals:${state}) and (${FIELD_CITY}:equals:${city})`;
-    }
-    const data = await zohoGET(`/crm/v2/${MODULE_SURGEONS}/search?criteria=${encodeURIComponent(criteria)}`);
-    const surgeons = (data?.data || []).map((r) => {
-      const bookingUrl = pickBookingUrl(r, lang);
-      return {
-        id: r.id,
-        name: r?.[FIELD_NAME] || "",
-        price: r?.[FIELD_PRICE] ?? null,
-        bookingAvailable: !!bookingUrl,
-        bookingUrl: bookingUrl || null,
-      };
-    });
-    res.json(surgeons);
+    const sessionId = String(req.query.session_id || "").trim();
+    const display = parseDisplayCurrency(req.query.currency);
+    if (display.error) return res.status(400).json({ error: display.error });
+    const signed = hasSessionAccess(req, sessionId);
+    const directory = await getSurgeonDirectory();
+    const surgeons = filterSurgeons(directory.records, { country, state, city }).map((r) =>
+      withTrackedBooking(toSurgeonListItem(r, lang, display.currency), req, { sessionId, lang, signed })
+    );
+    sendDirectoryJson(res, directory, surgeons, { personalized: Boolean(sessionId) });
   } catch {
     res.status(500).json({ error: "surgeons lookup failed" });
   }
 });
 
+function parseCoordinate(value, limit) {
+  const s = String(value ?? "").trim();
+  if (!s) return null;
+  const n = Number(s);
+  return Number.isFinite(n) && Math.abs(n) <= limit ? n : NaN;
+}
+
+app.get("/api/surgeons/nearby", async (req, res) => {
+  try {
+    const lang = String(req.query.lang || "en").trim().toLowerCase();
+    const sessionId = String(req.query.session_id || "").trim();
+    const display = parseDisplayCurrency(req.query.currency);
+    if (display.error) return res.status(400).json({ error: display.error });
+    const lat = parseCoordinate(req.query.lat, 90);
+    const lng = parseCoordinate(req.query.lng, 180);
+    const postalCode = String(req.query.postal_code || "").trim();
+    const limit = Math.min(toPositiveInt(req.query.limit, 20), 100);
+    const radiusKm = req.query.radius_mi
+      ? Number(req.query.radius_mi) * 1.609344
+      : Number(req.query.radius_km || NEARBY_DEFAULT_RADIUS_KM);
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > NEARBY_MAX_RADIUS_KM) {
+      return res.status(400).json({ error: `radius must be between 0 and ${NEARBY_MAX_RADIUS_KM} km` });
+    }
+
+    let origin = null;
+    if (lat !== null || lng !== null) {
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) return res.status(400).json({ error: "lat and lng must both be valid coordinates" });
+      origin = { lat, lng, resolved_by: "coordinates" };
+    } else if (postalCode) {
+      const countryIso = resolveCountryIso(req.query.country);
+      if (!countryIso) return res.status(400).json({ error: "country is required with postal_code" });
+      const hit = geocodePostalCode(countryIso, postalCode);
+      if (!hit) return res.status(404).json({ error: "postal code not found in geocoding dataset" });
+      origin = { lat: hit.lat, lng: hit.lng, resolved_by: "postal_code", country: countryIso, matched_prefix: hit.matched };
+    } else {
+      return res.status(400).json({ error: "lat/lng or postal_code is required" });
+    }
+
+    const signed = hasSessionAccess(req, sessionId);
+    const directory = await getSurgeonDirectory();
+    const surgeons = directory.records
+      .map((r) => {
+        const coords = surgeonCoordinates(r);
+        return coords ? { record: r, distanceKm: haversineKm(origin, coords) } : null;
+      })
+      .filter((x) => x && x.distanceKm <= radiusKm)
+      .sort((a, b) => a.distanceKm - b.distanceKm)
+      .slice(0, limit)
+      .map(({ record, distanceKm }) => ({
+        ...withTrackedBooking(toSurgeonListItem(record, lang, display.currency), req, { sessionId, lang, signed }),
+        city: record?.[FIELD_CITY] || "",
+        state: record?.[FIELD_STATE] || "",
+        country: record?.[FIELD_COUNTRY] || "",
+        distance_km: Math.round(distanceKm * 10) / 10,
+      }));
+    sendDirectoryJson(res, directory, { origin, radius_km: Math.round(radiusKm * 10) / 10, surgeons }, { personalized: Boolean(sessionId) });
+  } catch {
+    res.status(500).json({ error: "nearby surgeons lookup failed" });
+  }
+});
+
 app.get("/api/surgeons/:id", async (req, res) => {
   try {
     const surgeonId = String(req.params.id || "").trim();
     const lang = String(req.query.lang || "en").trim().toLowerCase();
+    const sessionId = String(req.query.session_id || "").trim();
+    const display = parseDisplayCurrency(req.query.currency);
     if (!surgeonId) return res.status(400).json({ error: "surgeonId required" });
-    const record = await zohoGET(`/crm/v2/${MODULE_SURGEONS}/${surgeonId}`);
-    const s = record?.data?.[0];
+    if (display.error) return res.status(400).json({ error: display.error });
+    const s = await getSurgeonRecord(surgeonId);
     if (!s) return res.status(404).json({ error: "surgeon not found" });
     const bookingUrl = pickBookingUrl(s, lang);
-    res.json({ id: surgeonId, name: s[FIELD_NAME] || "", price: s[FIELD_PRICE] ?? null, bookingUrl: bookingUrl || null });
+    if (sessionId) res.set("Cache-Control", "private, no-store");
+    res.json(
+      withTrackedBooking(
+        { id: surgeonId, name: s[FIELD_NAME] || "", ...describeSurgeonPrice(s, lang, display.currency), bookingUrl: bookingUrl || null },
+        req,
+        { sessionId, lang, signed: hasSessionAccess(req, sessionId) }
+      )
+    );
   } catch {
     res.status(500).json({ error: "surgeon lookup failed" });
   }
 });
 
-async function searchLeadByEmail(email) {
-  const e = normalizeEmail(email);
-  if (!e) return null;
-  const data = await zohoGET(`/crm/v2/${MODULE_LEADS}/search?criteria=${encodeURIComponent(`(Email:equals:${e})`)}`);
-  return (data?.data || [])[0] || null;
+function loadBookingProviders() {
+  const file = BOOKING_PROVIDERS_PATH ? path.resolve(BOOKING_PROVIDERS_PATH) : new URL("./data/booking-providers.json", import.meta.url);
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8")).providers || [];
+  } catch (e) {
+    logger.error("[Booking] failed to load booking provider templates", { error: errorText(e) });
+    return [];
+  }
 }
 
-async function searchLeadBySessionId(sessionId) {
-  const s = String(sessionId || "").trim();
-  if (!s) return null;
-  const data = await zohoGET(`/crm/v2/${MODULE_LEADS}/search?criteria=${encodeURIComponent(`(Session_ID:equals:${s})`)}`);
-  return (data?.data || [])[0] || null;
-}
+const bookingProviders = loadBookingProviders();
+const bookingClickStore = createJsonFileStore("booking-clicks");
 
-async function searchLeadByPhoneE164(phoneE164) {
-  const p = String(phoneE164 || "").trim();
-  if (!p) return null;
-  const criteria = `(Phone:equals:${p}) or (Mobile:equals:${p})`;
-  const data = await zohoGET(`/crm/v2/${MODULE_LEADS}/search?criteria=${encodeURIComponent(criteria)}`);
-  return (data?.data || [])[0] || null;
+function pickBookingProvider(bookingUrl) {
+  const host = normalizeHostFromValue(bookingUrl);
+  return (
+    bookingProviders.find((p) => (p.hosts || []).some((h) => h !== "*" && (host === h || host.endsWith(`.${h}`)))) ||
+    bookingProviders.find((p) => (p.hosts || []).includes("*")) ||
+    null
+  );
 }
 
-async function getLeadByIdForAppend(leadId) {
-  const record = await zohoGET(`/crm/v2/${MODULE_LEADS}/${leadId}`);
-  return record?.data?.[0] || null;
+// Latest known identity and campaign parameters for a session, from the local submission history.
+function getSessionBookingProfile(sessionId) {
+  const records = historyForSession(sessionId);
+  if (!records.length) return null;
+  const profile = { session_id: sessionId };
+  for (const record of records) {
+    const answers = historyAnswers(record);
+    for (const key of ["first_name", "last_name", "utm_source", "utm_medium", "utm_campaign", "utm_content", "utm_term"]) {
+      if (nullableText(answers[key])) profile[key] = nullableText(answers[key]);
+    }
+    if (record.contact?.email) profile.email = record.contact.email;
+    if (record.contact?.phone) profile.phone = record.contact.phone;
+    if (record.lead_id) profile.lead_id = record.lead_id;
+  }
+  profile.full_name = [profile.first_name, profile.last_name].filter(Boolean).join(" ") || null;
+  return profile;
 }
 
-async function findLeadForInitialLead({ sessionId, email, phoneE164 }) {
-  if (sessionId) {
-    const bySession = await searchLeadBySessionId(sessionId);
-    if (bySession?.id) return { lead: bySession, matchedBy: "session" };
+function decorateBookingUrl(bookingUrl, profile) {
+  const provider = pickBookingProvider(bookingUrl);
+  let url;
+  try {
+    url = new URL(bookingUrl);
+  } catch {
+    return { url: bookingUrl, provider: provider?.id || null };
   }
-  if (email) {
-    const byEmail = await searchLeadByEmail(email);
-    if (byEmail?.id) return { lead: byEmail, matchedBy: "email" };
+  for (const [param, template] of Object.entries(provider?.params || {})) {
+    const value = String(template).replace(/\{(\w+)\}/g, (_, key) => profile?.[key] || "");
+    if (value.trim()) url.searchParams.set(param, value);
+  }
+  return { url: url.toString(), provider: provider?.id || null };
+}
+
+// A session id alone only unlocks these; name, email and phone need a signed booking link.
+const BOOKING_PUBLIC_PROFILE_KEYS = ["session_id", "utm_source", "utm_medium", "utm_campaign", "utm_content", "utm_term"];
+const BOOKING_TOKEN_TTL_MS = 24 * 60 * 60_000;
+
+function publicBookingProfile(profile) {
+  return profile && Object.fromEntries(BOOKING_PUBLIC_PROFILE_KEYS.filter((k) => profile[k]).map((k) => [k, profile[k]]));
+}
+
+function signBookingToken(sessionId, surgeonId, expiresAt) {
+  return crypto.createHmac("sha256", RESUME_TOKEN_SECRET).update(`booking.${sessionId}.${surgeonId}.${expiresAt}`).digest("base64url");
+}
+
+function issueBookingToken(sessionId, surgeonId) {
+  const expiresAt = Math.floor((Date.now() + BOOKING_TOKEN_TTL_MS) / 1000);
+  return `${expiresAt}.${signBookingToken(sessionId, surgeonId, expiresAt)}`;
+}
+
+function verifyBookingToken(sessionId, surgeonId, token) {
+  if (!RESUME_TOKEN_SECRET) return false;
+  const [expiresAt, signature] = String(token || "").split(".");
+  if (!/^\d+$/.test(expiresAt || "") || !signature) return false;
+  if (Number(expiresAt) * 1000 < Date.now()) return false;
+  return timingSafeEqualText(signBookingToken(sessionId, surgeonId, expiresAt), signature);
+}
+
+// Callers that prove they own the session (resume token) get booking links signed for identity prefill.
+function hasSessionAccess(req, sessionId) {
+  return !!sessionId && !!RESUME_TOKEN_SECRET && verifyResumeToken(sessionId, resumeTokenFrom(req));
+}
+
+function trackedBookingUrl(req, surgeonId, { sessionId, lang, signed }) {
+  const base = (PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`).replace(/\/+$/, "");
+  const token = signed ? issueBookingToken(sessionId, surgeonId) : null;
+  const params = new URLSearchParams(pruneEmpty({ session_id: sessionId, lang, token }));
+  return `${base}/api/booking/${encodeURIComponent(surgeonId)}?${params.toString()}`;
+}
+
+// With a session id the public booking link goes through /api/booking so the click is logged first.
+function withTrackedBooking(item, req, { sessionId, lang, signed = false }) {
+  if (!sessionId || !item.bookingUrl) return item;
+  return { ...item, bookingUrl: trackedBookingUrl(req, item.id, { sessionId, lang, signed }), bookingTracked: true };
+}
+
+app.get("/api/booking/:surgeonId", async (req, res) => {
+  try {
+    const surgeonId = String(req.params.surgeonId || "").trim();
+    const lang = String(req.query.lang || "en").trim().toLowerCase();
+    const sessionId = String(req.query.session_id || "").trim();
+    const record = await getSurgeonRecord(surgeonId);
+    const bookingUrl = record ? pickBookingUrl(record, lang) : "";
+    if (!bookingUrl) return res.status(404).json({ error: "booking link not found" });
+
+    const profile = sessionId ? getSessionBookingProfile(sessionId) || { session_id: sessionId } : null;
+    const signed = !!sessionId && verifyBookingToken(sessionId, surgeonId, req.query.token);
+    const decorated = profile
+      ? decorateBookingUrl(bookingUrl, signed ? profile : publicBookingProfile(profile))
+      : { url: bookingUrl, provider: pickBookingProvider(bookingUrl)?.id || null };
+    if (sessionId) setLogContext({ sessionId, leadId: profile?.lead_id });
+    try {
+      await bookingClickStore.put(crypto.randomUUID(), {
+        surgeon_id: surgeonId,
+        session_id: sessionId || null,
+        lead_id: profile?.lead_id || null,
+        lang,
+        provider: decorated.provider,
+        clicked_at: new Date().toISOString(),
+        referrer: nullableText(req.get("referer")),
+        utm_source: profile?.utm_source || null,
+        utm_medium: profile?.utm_medium || null,
+        utm_campaign: profile?.utm_campaign || null,
+      });
+    } catch (e) {
+      logger.error("[Booking] failed to log booking click", { error: errorText(e) });
+    }
+    logger.info(`[Booking] redirecting to ${decorated.provider || "unknown"} booking for surgeon ${surgeonId}`);
+    res.set("Cache-Control", "private, no-store");
+    res.redirect(302, decorated.url);
+  } catch {
+    res.status(500).json({ error: "booking redirect failed" });
+  }
+});
+
+app.get("/api/admin/booking-clicks", requireAdmin, (req, res) => {
+  const sessionId = String(req.query.session_id || "").trim();
+  const surgeonId = String(req.query.surgeon_id || "").trim();
+  const limit = Math.min(toPositiveInt(req.query.limit, 100), 500);
+  const clicks = bookingClickStore
+    .values()
+    .filter((c) => (!sessionId || c.session_id === sessionId) && (!surgeonId || c.surgeon_id === surgeonId))
+    .sort((a, b) => b.clicked_at.localeCompare(a.clicked_at))
+    .slice(0, limit);
+  res.json({ clicks });
+});
+
+app.post("/api/admin/surgeons/refresh", requireAdmin, async (req, res) => {
+  try {
+    await refreshSurgeonDirectory();
+    res.json({ success: true, ...getSurgeonDirectoryStatus() });
+  } catch {
+    res.status(502).json({ success: false, error: "surgeon directory refresh failed", ...getSurgeonDirectoryStatus() });
+  }
+});
+
+app.get("/api/admin/webhooks", requireAdmin, (req, res) => {
+  res.json({
+    events: WEBHOOK_EVENTS,
+    subscribers: WEBHOOK_SUBSCRIBERS.map((sub) => ({
+      id: sub.id,
+      type: sub.type,
+      url: sub.url || null,
+      events: sub.events,
+      signed: Boolean(sub.secret),
+    })),
+  });
+});
+
+app.get("/api/admin/webhooks/deliveries", requireAdmin, (req, res) => {
+  const status = String(req.query.status || "").trim();
+  const subscriber = String(req.query.subscriber || "").trim();
+  const limit = Math.min(toPositiveInt(req.query.limit, 100), 500);
+  const deliveries = webhookDeliveryStore
+    .values()
+    .filter((d) => (!status || d.status === status) && (!subscriber || d.subscriber_id === subscriber))
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)))
+    .slice(0, limit)
+    .map(({ event, ...d }) => ({ ...d, event_id: event.id, event_type: event.type }));
+  res.json({ deliveries });
+});
+
+async function searchLeadByEmail(email) {
+  const e = normalizeEmail(email);
+  if (!e) return null;
+  return searchLatestLead(`(Email:equals:${e})`);
+}
+
+async function searchLeadBySessionId(sessionId) {
+  const s = String(sessionId || "").trim();
+  if (!s) return null;
+  return searchLatestLead(`(Session_ID:equals:${s})`);
+}
+
+async function searchLeadByPhoneE164(phoneE164) {
+  const p = String(phoneE164 || "").trim();
+  if (!p) return null;
+  return searchLatestLead(`(Phone:equals:${p}) or (Mobile:equals:${p})`);
+}
+
+async function getLeadByIdForAppend(leadId) {
+  const record = await zohoGET(`/crm/v2/${MODULE_LEADS}/${leadId}`);
+  return record?.data?.[0] || null;
+}
+
+async function findLeadForInitialLead({ sessionId, email, phoneE164 }) {
+  if (sessionId) {
+    const bySession = await searchLeadBySessionId(sessionId);
+    if (bySession?.id) return { lead: bySession, matchedBy: "session" };
+  }
+  if (email) {
+    const byEmail = await searchLeadByEmail(email);
+    if (byEmail?.id) return { lead: byEmail, matchedBy: "email" };
   }
   if (phoneE164) {
     const byPhone = await searchLeadByPhoneE164(phoneE164);
@@ -620,29 +2329,43 @@ async function findLeadForInitialLead({ sessionId, email, phoneE164 }) {
 async function findLeadForQuestionnaire({ sessionId }) {
   const bySession = await searchLeadBySessionId(sessionId);
   if (bySession?.id) return { lead: bySession, matchedBy: "session" };
+  // Zoho search can lag behind a lead created moments ago; local history already knows its id.
+  const knownLeadId = historyForSession(sessionId)
+    .reverse()
+    .find((r) => r.lead_id)?.lead_id;
+  if (knownLeadId) {
+    const byHistory = await getLeadByIdForAppend(knownLeadId);
+    if (byHistory?.id) return { lead: byHistory, matchedBy: "session_history" };
+  }
   return { lead: null, matchedBy: "none" };
 }
 
+// The full answers stay in the local history record; the Zoho copy only carries the digest categories.
 function buildFullEntryString(submission, type, extra = {}) {
-  const ts = new Date().toISOString();
+  const ts = extra.ts || new Date().toISOString();
+  const showContact = REDACTION_PROFILES.digest.has("contact");
   const header =
     `===== ${ts} | submission_type=${type || ""}` +
     (extra.sessionId ? ` | session_id=${extra.sessionId}` : "") +
-    (extra.email ? ` | email=${extra.email}` : "") +
-    (extra.phone ? ` | phone=${extra.phone}` : "") +
+    (showContact && extra.email ? ` | email=${extra.email}` : "") +
+    (showContact && extra.phone ? ` | phone=${extra.phone}` : "") +
+    (extra.recordId ? ` | record=${extra.recordId}` : "") +
     ` =====\n`;
-  return header + safeJsonStringify(submission, QUESTIONNAIRE_DETAILS_2_MAX_CHARS) + "\n\n";
+  return header + safeJsonStringify(redactSubmission(submission, REDACTION_PROFILES.digest), QUESTIONNAIRE_DETAILS_2_MAX_CHARS) + "\n\n";
 }
 
 function buildSummaryEntryString(submission, type, extra = {}) {
-  const ts = new Date().toISOString();
+  const ts = extra.ts || new Date().toISOString();
+  const evaluation = type === "partial" || type === "complete" ? evaluateEligibility(submission, type) : null;
+  const showContact = REDACTION_PROFILES.digest.has("contact");
   const lines = [
     `===== ${ts} | submission_type=${type || ""} =====`,
     extra.sessionId ? `session_id=${extra.sessionId}` : null,
-    extra.email ? `email=${extra.email}` : null,
-    extra.phone ? `phone=${extra.phone}` : null,
-    `outcome=${getOutcomeValue(submission) || ""}`,
-    `eligibility=${getEligibilityValue(submission) || ""}`,
+    showContact && extra.email ? `email=${extra.email}` : null,
+    showContact && extra.phone ? `phone=${extra.phone}` : null,
+    `outcome=${evaluation?.outcome || getOutcomeValue(submission) || ""}`,
+    `eligibility=${evaluation?.eligibility || getEligibilityValue(submission) || ""}`,
+    evaluation?.mismatch ? `client_eligibility=${evaluation.client.eligibility} (MISMATCH, rules ${evaluation.rules_version})` : null,
     `surgeon=${submission.surgeon_name || submission.surgeon_id || ""}`,
     `location=${[getCurrentCity(submission), getCurrentState(submission), getCurrentCountry(submission)].filter(Boolean).join(", ")}`,
     `language=${submission.preferred_language || ""}`,
@@ -652,34 +2375,221 @@ function buildSummaryEntryString(submission, type, extra = {}) {
   return lines.join("\n") + "\n\n";
 }
 
-function clampToMaxCharsKeepNewest(text, maxChars) {
-  const s = String(text || "");
-  if (s.length <= maxChars) return s;
-  return "[TRUNCATED_OLD_ENTRIES]\n\n" + s.slice(s.length - maxChars);
+const HISTORY_RECORD_VERSION = 1;
+const questionnaireHistoryStore = createJsonFileStore("questionnaire-history");
+
+function byReceivedAt(a, b) {
+  return String(a.received_at).localeCompare(String(b.received_at));
 }
 
-async function appendQuestionnaireDetailsToExistingLead(leadId, payload, submission, type, ctx) {
-  const newSummaryEntry = buildSummaryEntryString(submission, type, ctx);
-  const newFullEntry = buildFullEntryString(submission, type, ctx);
-  let existingSmall = "";
-  let existingLarge = "";
-  try {
-    const lead = await getLeadByIdForAppend(leadId);
-    existingSmall = String(lead?.[FIELD_QUESTIONNAIRE_DETAILS] || "");
-    existingLarge = String(lead?.[FIELD_QUESTIONNAIRE_DETAILS_2] || "");
-  } catch {}
-  const combinedSmall = existingSmall ? existingSmall + "\n" + newSummaryEntry : newSummaryEntry;
-  const combinedLarge = existingLarge ? existingLarge + "\n" + newFullEntry : newFullEntry;
+function historyForLead(leadId) {
+  return questionnaireHistoryStore
+    .values()
+    .filter((r) => r.lead_id === String(leadId))
+    .sort(byReceivedAt);
+}
+
+function historyForSession(sessionId) {
+  return questionnaireHistoryStore
+    .values()
+    .filter((r) => r.session_id === sessionId)
+    .sort(byReceivedAt);
+}
+
+async function recordQuestionnaireHistory({ submission, type, ctx, leadId = null }) {
+  return questionnaireHistoryStore.put(crypto.randomUUID(), {
+    version: HISTORY_RECORD_VERSION,
+    session_id: ctx.sessionId || null,
+    lead_id: leadId ? String(leadId) : null,
+    submission_type: type,
+    received_at: new Date().toISOString(),
+    contact: { email: ctx.email || null, phone: ctx.phone || null },
+    payload_id: await sealPayload(submission, {
+      kind: "history",
+      session_id: ctx.sessionId || null,
+      lead_id: leadId ? String(leadId) : null,
+    }),
+  });
+}
+
+// Records from before the vault kept the answers inline.
+function historyAnswers(record) {
+  if (record.legacy) return {};
+  return (record.payload_id ? openPayload(record.payload_id) : record.answers) || {};
+}
+
+async function attachHistoryToLead(record, leadId) {
+  const updated = await questionnaireHistoryStore.put(record.id, { ...record, lead_id: String(leadId) });
+  publishHistoryNote(updated);
+  return updated;
+}
+
+const HISTORY_ENTRY_HEADER = /^===== (\S+) \| submission_type=(\w*)[^\n]*=====$/gm;
+const HISTORY_OMITTED_MARKER = /^\[\d+ EARLIER ENTRIES OMITTED\]\s*$/gm;
+
+function historyEntryKey(receivedAt, type) {
+  return `${receivedAt}|${type}`;
+}
+
+function splitHistoryText(text) {
+  const matches = [...String(text || "").matchAll(HISTORY_ENTRY_HEADER)];
+  const entries = new Map();
+  matches.forEach((m, i) => {
+    const end = i + 1 < matches.length ? matches[i + 1].index : text.length;
+    const body = text.slice(m.index, end).replace(HISTORY_OMITTED_MARKER, "").trim();
+    entries.set(historyEntryKey(m[1], m[2]), { receivedAt: m[1], type: m[2], header: m[0], text: body });
+  });
+  return entries;
+}
+
+// Zoho text can carry the raw answers, so it is sealed like any submission. Early records kept it inline.
+function historyLegacyText(record) {
+  return (record.payload_id ? openPayload(record.payload_id) : record.legacy) || { summary: "", full: "" };
+}
+
+function knownHistoryKeys(records) {
+  const keys = new Set();
+  for (const record of records) {
+    if (record.legacy) for (const key of splitHistoryText(historyLegacyText(record).full).keys()) keys.add(key);
+    else keys.add(historyEntryKey(record.received_at, record.submission_type));
+  }
+  return keys;
+}
+
+// The Zoho text fields are rebuilt from local history, and another instance may have added entries this one
+// has never seen. Pull those in first so the rewrite keeps them. Leads created before local history existed
+// have their whole text pinned once as a legacy record.
+async function importQuestionnaireDetailsFromZoho(leadId) {
+  const lead = await getLeadByIdForAppend(leadId);
+  const summary = String(lead?.[FIELD_QUESTIONNAIRE_DETAILS] || "").trim();
+  const full = String(lead?.[FIELD_QUESTIONNAIRE_DETAILS_2] || "").trim();
+  if (!summary && !full) return;
+  const records = historyForLead(leadId);
+  const base = { version: HISTORY_RECORD_VERSION, session_id: nullableText(lead?.Session_ID), lead_id: String(leadId) };
+  const sealText = (text) => sealPayload(text, { kind: "history", session_id: base.session_id, lead_id: base.lead_id });
+
+  if (!records.length) {
+    await questionnaireHistoryStore.put(crypto.randomUUID(), {
+      ...base,
+      submission_type: "legacy",
+      received_at: lead?.Created_Time ? new Date(lead.Created_Time).toISOString() : new Date(0).toISOString(),
+      legacy: true,
+      payload_id: await sealText({ summary, full }),
+    });
+    return;
+  }
+
+  const known = knownHistoryKeys(records);
+  const summaries = splitHistoryText(summary);
+  for (const [key, entry] of splitHistoryText(full)) {
+    if (known.has(key)) continue;
+    await questionnaireHistoryStore.put(crypto.randomUUID(), {
+      ...base,
+      submission_type: entry.type,
+      received_at: entry.receivedAt,
+      imported: true,
+      legacy: true,
+      payload_id: await sealText({
+        summary: summaries.get(key)?.text || `===== ${entry.receivedAt} | submission_type=${entry.type} =====`,
+        full: entry.text,
+      }),
+    });
+  }
+}
+
+function renderHistoryEntry(record, style) {
+  if (record.legacy) {
+    const text = historyLegacyText(record);
+    return (style === "summary" ? text.summary : text.full) + "\n\n";
+  }
+  const extra = {
+    ts: record.received_at,
+    sessionId: record.session_id,
+    email: record.contact?.email,
+    phone: record.contact?.phone,
+    recordId: record.id,
+  };
+  return style === "summary"
+    ? buildSummaryEntryString(historyAnswers(record), record.submission_type, extra)
+    : buildFullEntryString(historyAnswers(record), record.submission_type, extra);
+}
+
+// The first record (the original lead answers) is always kept; the newest entries fill the remaining space.
+function renderHistoryDigest(records, style, maxChars) {
+  const entries = records.map((r) => renderHistoryEntry(r, style));
+  const whole = entries.join("\n");
+  if (whole.length <= maxChars || entries.length === 0) return whole.slice(0, maxChars);
+
+  const marker = (n) => `[${n} EARLIER ENTRIES OMITTED]\n\n`;
+  const first = entries[0].slice(0, Math.floor(maxChars / 2));
+  const kept = [];
+  let used = first.length + marker(entries.length).length;
+  for (let i = entries.length - 1; i >= 1; i--) {
+    if (used + entries[i].length + 1 > maxChars) break;
+    kept.unshift(entries[i]);
+    used += entries[i].length + 1;
+  }
+  const omitted = entries.length - 1 - kept.length;
+  return [first, omitted ? marker(omitted) : null, ...kept].filter(Boolean).join("\n");
+}
+
+function withQuestionnaireDigest(payload, records) {
   return {
     ...payload,
-    [FIELD_QUESTIONNAIRE_DETAILS]: clampToMaxCharsKeepNewest(combinedSmall, QUESTIONNAIRE_DETAILS_MAX_CHARS),
-    [FIELD_QUESTIONNAIRE_DETAILS_2]: clampToMaxCharsKeepNewest(combinedLarge, QUESTIONNAIRE_DETAILS_2_MAX_CHARS),
+    [FIELD_QUESTIONNAIRE_DETAILS]: renderHistoryDigest(records, "summary", QUESTIONNAIRE_DETAILS_MAX_CHARS),
+    [FIELD_QUESTIONNAIRE_DETAILS_2]: renderHistoryDigest(records, "full", QUESTIONNAIRE_DETAILS_2_MAX_CHARS),
+  };
+}
+
+function publishHistoryNote(record) {
+  if (!ZOHO_HISTORY_NOTES_ENABLED || !record.lead_id || record.legacy) return;
+  const note = {
+    Note_Title: `Eligibility ${record.submission_type} submission (${record.received_at})`,
+    Note_Content: renderHistoryEntry(record, "full").slice(0, QUESTIONNAIRE_DETAILS_2_MAX_CHARS),
   };
+  zohoPOST(`/crm/v2/${MODULE_LEADS}/${record.lead_id}/Notes`, { data: [note] }).catch((e) =>
+    logger.error("[History] Zoho note failed", { error: errorText(e), zoho_code: e?.zoho?.code })
+  );
+}
+
+async function appendQuestionnaireDetailsToExistingLead(leadId, payload, submission, type, ctx) {
+  await importQuestionnaireDetailsFromZoho(leadId);
+  const record = await recordQuestionnaireHistory({ submission, type, ctx, leadId });
+  return { record, payload: withQuestionnaireDigest(payload, historyForLead(leadId)) };
+}
+
+// The Zoho write for this record failed; a retry records the submission again, so keeping it would leave an
+// orphan (or a duplicate entry) in the session history.
+async function discardHistoryRecord(record) {
+  try {
+    await questionnaireHistoryStore.remove(record.id);
+    if (record.payload_id) await payloadVaultStore.remove(record.payload_id);
+  } catch (e) {
+    logger.error(`[History] failed to discard record ${record.id}`, { error: errorText(e) });
+  }
+}
+
+async function pruneQuestionnaireHistory() {
+  const cutoff = new Date(Date.now() - HISTORY_RETENTION_DAYS * 24 * 60 * 60_000).toISOString();
+  try {
+    for (const record of questionnaireHistoryStore.values()) {
+      if (record.legacy || record.received_at >= cutoff) continue;
+      await questionnaireHistoryStore.remove(record.id);
+      if (record.payload_id) await payloadVaultStore.remove(record.payload_id);
+    }
+  } catch (e) {
+    logger.error("[History] prune failed", { error: errorText(e) });
+  }
 }
 
-function mapAttribution(submission) {
+function mapAttribution(submission, originDefaults = {}) {
+  const touch = classifyAttribution(submission, originDefaults);
   return pruneEmpty({
-    Lead_Source: deriveLeadSource(submission),
+    Lead_Source: touch.channel,
+    First_Touch_Channel: touch.channel,
+    First_Touch_Landing_Page: touch.landingPage,
+    Last_Touch_Channel: touch.channel,
+    Last_Touch_Landing_Page: touch.landingPage,
     gclid2: nullableText(submission.gclid || submission.gclid2),
     GBRAID: nullableText(submission.gbraid),
     WBRAID: nullableText(submission.wbraid),
@@ -697,7 +2607,7 @@ function mapAttribution(submission) {
   });
 }
 
-function mapCommonBase(submission, surgeonAlias, { includeIdentity = true } = {}) {
+function mapCommonBase(submission, surgeonAlias, { includeIdentity = true, originDefaults = {} } = {}) {
   const phone = normalizePhoneE164(submission.phone_country_code, submission.phone_number);
   const identity = includeIdentity
     ? {
@@ -715,32 +2625,41 @@ function mapCommonBase(submission, surgeonAlias, { includeIdentity = true } = {}
     State: nullableText(getCurrentState(submission)),
     City: nullableText(getCurrentCity(submission)),
     Session_ID: nullableText(submission.session_id),
-    [FIELD_LEAD_PREFERRED_LANGUAGE]: normalizePreferredLanguageForZoho(submission.preferred_language),
+    [FIELD_LEAD_PREFERRED_LANGUAGE]: normalizePreferredLanguageForZoho(submission.preferred_language, originDefaults.preferredLanguage),
     Surgeon_name_Lookup: nullableText(submission.surgeon_id),
     [FIELD_LEAD_SURGEON_NAME]: nullableText(surgeonAlias),
     Intake_Date: nullableText(submission.submitted_at) || new Date().toISOString(),
-    ...mapAttribution(submission),
+    ...mapAttribution(submission, originDefaults),
+    ...mapConsent(submission),
+  });
+}
+
+function mapConsent(submission) {
+  const version = nullableText(submission.consent_version);
+  if (!version) return {};
+  return pruneEmpty({
+    Consent_Version: version,
+    Consent_Timestamp: nullableText(submission.consent_given_at) || new Date().toISOString(),
+    Consent_Medical_Processing: boolToYesNo(submission.consent_medical),
+    Consent_Marketing: boolToYesNo(submission.consent_marketing) || "No",
   });
 }
 
-function mapLeadBase(submission, surgeonAlias) {
-  return mapCommonBase(submission, surgeonAlias, { includeIdentity: true });
+function mapLeadBase(submission, surgeonAlias, originDefaults) {
+  return mapCommonBase(submission, surgeonAlias, { includeIdentity: true, originDefaults });
 }
 
-function mapPartialBase(submission, surgeonAlias) {
+function mapPartialBase(submission, surgeonAlias, originDefaults) {
   return pruneEmpty({
-    ...mapCommonBase(submission, surgeonAlias, { includeIdentity: false }),
+    ...mapCommonBase(submission, surgeonAlias, { includeIdentity: false, originDefaults }),
     Date_of_Birth: nullableText(submission.date_of_birth),
-    Eligibility: getEligibilityValue(submission),
-    Outcome: getOutcomeValue(submission),
-    Eligibility_Flags: toMultilineText(submission.eligibility_flags || submission.flags),
-    Eligibility_Reasons: toMultilineText(submission.eligibility_reasons || submission.reasons),
+    ...mapEligibilityFields(evaluateEligibility(submission, "partial")),
   });
 }
 
-function mapCompleteBase(submission, surgeonAlias) {
+function mapCompleteBase(submission, surgeonAlias, originDefaults) {
   return pruneEmpty({
-    ...mapCommonBase(submission, surgeonAlias, { includeIdentity: false }),
+    ...mapCommonBase(submission, surgeonAlias, { includeIdentity: false, originDefaults }),
     Date_of_Birth: nullableText(submission.date_of_birth),
     Payment_Method: nullableText(submission.payment_method),
     Procedure_Timeline: nullableText(submission.timeline || submission.procedure_timeline),
@@ -760,10 +2679,7 @@ function mapCompleteBase(submission, surgeonAlias) {
         : boolToYesNo(submission.recent_outbreak_6mo),
     [FIELD_LEAD_MEDICAL_CONDITION_LIST]: toMultilineText(submission.medical_conditions_list),
     Body_Type: nullableText(submission.body_type),
-    Eligibility: getEligibilityValue(submission),
-    Outcome: getOutcomeValue(submission),
-    Eligibility_Flags: toMultilineText(submission.eligibility_flags || submission.flags),
-    Eligibility_Reasons: toMultilineText(submission.eligibility_reasons || submission.reasons),
+    ...mapEligibilityFields(evaluateEligibility(submission, "complete")),
   });
 }
 
@@ -813,6 +2729,7 @@ async function createLeadWithRecovery(payload) {
       return { id, removed_fields: removed };
     } catch (e) {
       const zohoErr = e?.zoho || null;
+      e.removedFields = removed;
       if (isDuplicateZohoErrorForField(zohoErr, "Email")) throw e;
       if (isDuplicateZohoErrorForField(zohoErr, "Phone") || isDuplicateZohoErrorForField(zohoErr, "Mobile")) throw e;
       if (isInvalidDataLike(zohoErr)) {
@@ -820,7 +2737,8 @@ async function createLeadWithRecovery(payload) {
         if (apiName && Object.prototype.hasOwnProperty.call(working, apiName)) {
           delete working[apiName];
           removed.push(apiName);
-          console.log(`[Zoho create reject] removing field ${apiName} and retrying...`);
+          metrics.removedFields.inc({ operation: "create", api_name: apiName });
+          logger.info(`[Zoho create reject] removing field ${apiName} and retrying`, { zoho_code: zohoErr?.code, api_name: apiName });
           continue;
         }
       }
@@ -829,6 +2747,7 @@ async function createLeadWithRecovery(payload) {
   }
   const err = new Error("createLead failed after retries");
   err.httpStatus = 500;
+  err.removedFields = removed;
   throw err;
 }
 
@@ -856,7 +2775,8 @@ async function updateLeadWithRecovery(leadId, payload) {
       if (isDuplicateZohoErrorForField(zohoErr, "Email") && working.Email) {
         delete working.Email;
         removed.push("Email");
-        debugLog("[Zoho update] DUPLICATE Email -> remove from update payload and retry");
+        metrics.removedFields.inc({ operation: "update", api_name: "Email" });
+        logger.debug("[Zoho update] DUPLICATE Email -> remove from update payload and retry");
         continue;
       }
       if (
@@ -865,7 +2785,9 @@ async function updateLeadWithRecovery(leadId, payload) {
       ) {
         working = stripPhoneFields(working);
         removed.push("Phone", "Mobile");
-        debugLog("[Zoho update] DUPLICATE phone -> remove Phone/Mobile from update payload and retry");
+        metrics.removedFields.inc({ operation: "update", api_name: "Phone" });
+        metrics.removedFields.inc({ operation: "update", api_name: "Mobile" });
+        logger.debug("[Zoho update] DUPLICATE phone -> remove Phone/Mobile from update payload and retry");
         continue;
       }
       if (isInvalidDataLike(zohoErr)) {
@@ -873,15 +2795,18 @@ async function updateLeadWithRecovery(leadId, payload) {
         if (apiName && Object.prototype.hasOwnProperty.call(working, apiName)) {
           delete working[apiName];
           removed.push(apiName);
-          console.log(`[Zoho reject] removing field ${apiName} and retrying...`);
+          metrics.removedFields.inc({ operation: "update", api_name: apiName });
+          logger.info(`[Zoho reject] removing field ${apiName} and retrying`, { zoho_code: zohoErr?.code, api_name: apiName });
           continue;
         }
       }
+      e.removedFields = removed;
       throw e;
     }
   }
   const err = new Error("updateLead failed after retries");
   err.httpStatus = 500;
+  err.removedFields = removed;
   throw err;
 }
 
@@ -892,21 +2817,180 @@ function makeSubmissionLockKey({ type, sessionId, email, phoneE164, idempotencyK
   return `${type}:${sessionId || ""}`;
 }
 
-async function withSubmissionLock(key, fn, { cacheRecent = false } = {}) {
-  const now = Date.now();
-  const cached = recentSubmissionResults.get(key);
-  if (cached && cached.expiresAt > now) return cached.result;
-  if (cached) recentSubmissionResults.delete(key);
+function createMemoryLockStore() {
+  const locks = new Map();
+  const results = new Map();
+  const live = (map, key) => {
+    const entry = map.get(key);
+    if (entry && entry.expiresAt > Date.now()) return entry;
+    if (entry) map.delete(key);
+    return null;
+  };
+  return {
+    name: "memory",
+    async getResult(key) {
+      return live(results, key)?.result || null;
+    },
+    async setResult(key, result, ttlMs) {
+      results.set(key, { result, expiresAt: Date.now() + ttlMs });
+      setTimeout(() => live(results, key), ttlMs + 1000).unref?.();
+    },
+    async acquire(key, ttlMs) {
+      if (live(locks, key)) return false;
+      locks.set(key, { expiresAt: Date.now() + ttlMs });
+      return true;
+    },
+    async release(key) {
+      locks.delete(key);
+    },
+    async removeResults(match) {
+      for (const [key, entry] of results) {
+        if (match(key, entry.result)) results.delete(key);
+      }
+    },
+  };
+}
+
+// Shares locks and idempotent results between processes that see the same SUBMISSION_LOCK_DIR.
+// Lock files are created with O_EXCL, so only one process can hold a key at a time.
+function createFileLockStore() {
+  const dir = SUBMISSION_LOCK_PATH;
+  const fileFor = (key, ext) => path.join(dir, `${crypto.createHash("sha256").update(key).digest("hex")}.${ext}`);
+  const readJson = async (file) => {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, "utf8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  };
+  return {
+    name: "file",
+    async getResult(key) {
+      const file = fileFor(key, "result.json");
+      const entry = await readJson(file);
+      if (!entry) return null;
+      if (entry.expiresAt > Date.now()) return entry.result;
+      await fs.promises.rm(file, { force: true });
+      return null;
+    },
+    async setResult(key, result, ttlMs) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = fileFor(key, "result.json");
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify({ key, result, expiresAt: Date.now() + ttlMs }));
+      await fs.promises.rename(tmp, file);
+    },
+    async acquire(key, ttlMs) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = fileFor(key, "lock");
+      for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+          await fs.promises.writeFile(file, JSON.stringify({ pid: process.pid, expiresAt: Date.now() + ttlMs }), { flag: "wx" });
+          return true;
+        } catch (e) {
+          if (e.code !== "EEXIST") throw e;
+          const held = await readJson(file);
+          if (held && held.expiresAt > Date.now()) return false;
+          await fs.promises.rm(file, { force: true });
+        }
+      }
+      return false;
+    },
+    async release(key) {
+      await fs.promises.rm(fileFor(key, "lock"), { force: true });
+    },
+    async removeResults(match) {
+      let names = [];
+      try {
+        names = await fs.promises.readdir(dir);
+      } catch (e) {
+        if (e.code === "ENOENT") return;
+        throw e;
+      }
+      for (const name of names.filter((n) => n.endsWith(".result.json"))) {
+        const entry = await readJson(path.join(dir, name));
+        if (entry && match(entry.key || "", entry.result)) await fs.promises.rm(path.join(dir, name), { force: true });
+      }
+    },
+  };
+}
+
+const LOCK_STORE_FACTORIES = {
+  memory: createMemoryLockStore,
+  file: createFileLockStore,
+};
+
+function createSubmissionLockStore(kind) {
+  const name = String(kind || "memory").trim().toLowerCase();
+  const factory = LOCK_STORE_FACTORIES[name];
+  if (factory) return factory();
+  logger.error(`[Lock store] "${name}" is not available in this build; using in-memory locks`);
+  return createMemoryLockStore();
+}
+
+const submissionLockStore = createSubmissionLockStore(SUBMISSION_LOCK_STORE);
+
+// Lock store failures must never block lead capture: log and carry on as if there were no lock.
+async function callLockStore(op, ...args) {
+  try {
+    return await submissionLockStore[op](...args);
+  } catch (e) {
+    logger.error(`[Lock store] ${submissionLockStore.name}.${op} failed, continuing without it`, { error: errorText(e) });
+    return undefined;
+  }
+}
 
-  if (inFlightSubmissions.has(key)) return inFlightSubmissions.get(key);
+async function waitForLockHolder(key, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 250));
+    const result = await callLockStore("getResult", key);
+    if (result) return { result, acquired: false };
+    const acquired = await callLockStore("acquire", key, IN_FLIGHT_TTL_MS);
+    if (acquired !== false) return { result: null, acquired: acquired === true };
+  }
+  return { result: null, acquired: false };
+}
+
+async function withSubmissionLock(key, fn, { cacheTtlMs = 0, skipCachedResult = false } = {}) {
+  const cached = skipCachedResult ? null : await callLockStore("getResult", key);
+  if (cached) {
+    metrics.submissionLock.inc({ event: "cache_hit" });
+    return cached;
+  }
+
+  if (inFlightSubmissions.has(key)) {
+    metrics.submissionLock.inc({ event: "in_flight_join" });
+    return inFlightSubmissions.get(key);
+  }
 
   const promise = (async () => {
-    const result = await fn();
-    if (cacheRecent) {
-      recentSubmissionResults.set(key, { result, expiresAt: Date.now() + RECENT_RESULT_TTL_MS });
-      setTimeout(() => recentSubmissionResults.delete(key), RECENT_RESULT_TTL_MS).unref?.();
+    let acquired = await callLockStore("acquire", key, IN_FLIGHT_TTL_MS);
+    metrics.submissionLock.inc({ event: acquired === false ? "contended" : "acquired" });
+    if (acquired === false) {
+      const waited = await waitForLockHolder(key, LOCK_WAIT_MS);
+      if (waited.result) {
+        metrics.submissionLock.inc({ event: "waited_result" });
+        return waited.result;
+      }
+      // The other holder never produced a result in time: proceed anyway (fail-open).
+      acquired = waited.acquired;
+      if (!acquired) {
+        metrics.submissionLock.inc({ event: "proceeded_unlocked" });
+        logger.warn(`[Lock store] ${key} still held elsewhere after ${LOCK_WAIT_MS}ms; proceeding without the lock`);
+      }
+    }
+    try {
+      const result = await fn();
+      // A parked submission has not reached Zoho yet, so only final results may answer a retry.
+      if (cacheTtlMs && result?.status >= 200 && result?.status < 300 && result.body?.status !== "pending") {
+        await callLockStore("setResult", key, result, cacheTtlMs);
+      }
+      return result;
+    } finally {
+      if (acquired) await callLockStore("release", key);
     }
-    return result;
   })();
 
   inFlightSubmissions.set(key, promise);
@@ -918,7 +3002,7 @@ async function withSubmissionLock(key, fn, { cacheRecent = false } = {}) {
   }
 }
 
-async function handleDuplicateCreateAsUpdate({ error, payloadWithAppend, sessionId, email, phoneE164 }) {
+async function handleDuplicateCreateAsUpdate({ error, submission, payloadWithAppend, historyRecord, sessionId, email, phoneE164 }) {
   const zohoErr = error?.zoho || null;
   let found = null;
   let matchedBy = "none";
@@ -937,169 +3021,1611 @@ async function handleDuplicateCreateAsUpdate({ error, payloadWithAppend, session
   }
   if (!found?.id) throw error;
 
-  const payloadPreservingSource = preserveExistingLeadSource(found, payloadWithAppend);
-  const updatePayload = await appendQuestionnaireDetailsToExistingLead(found.id, payloadPreservingSource, {}, "duplicate_recovery", {
-    sessionId,
-    email,
-    phone: phoneE164,
-  });
+  const payloadPreservingSource = preserveExistingLeadSource(found, payloadWithAppend, submission);
+  await importQuestionnaireDetailsFromZoho(found.id);
+  await attachHistoryToLead(historyRecord, found.id);
+  const updatePayload = withQuestionnaireDigest(payloadPreservingSource, historyForLead(found.id));
   const upd = await updateLeadWithRecovery(found.id, updatePayload);
+  metrics.duplicateRecoveries.inc({ matched_by: matchedBy });
   return { id: found.id, created: false, matched_by: matchedBy, removed_fields: upd.removed_fields || [] };
 }
 
-app.post("/api/submissions", async (req, res) => {
-  const submission = req.body || {};
-  const type = String(submission.submission_type || "").toLowerCase();
-  const sessionId = String(submission.session_id || "").trim();
-  const email = normalizeEmail(submission.email);
-  const suppliedEmail = String(submission.email || "").trim();
-  const phoneE164 = normalizePhoneE164(submission.phone_country_code, submission.phone_number);
-  const idempotencyKey = nullableText(submission.idempotency_key);
-  let lead = null;
+function getSubmissionContext(submission, { origin = null } = {}) {
+  return {
+    origin: nullableText(origin),
+    type: String(submission.submission_type || "").toLowerCase(),
+    sessionId: String(submission.session_id || "").trim(),
+    email: normalizeEmail(submission.email),
+    phoneE164: normalizePhoneE164(submission.phone_country_code, submission.phone_number),
+    phone: parsePhoneNumber(submission.phone_country_code, submission.phone_number),
+    idempotencyKey: nullableText(submission.idempotency_key),
+  };
+}
 
-  try {
-    if (!["lead", "partial", "complete"].includes(type)) {
-      return res.status(400).json({ success: false, error: "submission_type must be 'lead', 'partial', or 'complete'." });
-    }
+const SUBMISSION_SCHEMA_VERSION = "2026-10-19";
+const SUBMISSION_TYPES = ["lead", "partial", "complete"];
 
-    if (!sessionId) {
-      return res.status(400).json({ success: false, error: "session_id is required." });
-    }
+const TEXT = { type: "string", maxLength: 255 };
+const LONG_TEXT = { type: "string", maxLength: 2000 };
+const URL_TEXT = { type: "string", maxLength: 2000 };
+const YES_NO = { type: "boolean" };
+const LIST = { type: "array", items: { type: "string", maxLength: 255 }, maxItems: 50 };
+const TEXT_OR_LIST = { type: "text_or_array", maxLength: 4000 };
 
-    if (suppliedEmail && !email) {
-      return res.status(400).json({ success: false, error: "email is invalid." });
-    }
+const COMMON_SUBMISSION_FIELDS = {
+  submission_type: { type: "enum", values: SUBMISSION_TYPES },
+  session_id: { type: "string", maxLength: 200 },
+  idempotency_key: { type: "string", maxLength: 200 },
+  submitted_at: { type: "string", format: "date-time" },
+  form_started_at: { type: "string", format: "date-time" },
+  captcha_token: { type: "string", maxLength: 4096 },
+  form_token: { type: "string", maxLength: 200 },
+  email: { type: "string", format: "email", maxLength: 254 },
+  first_name: { type: "string", maxLength: 100 },
+  last_name: { type: "string", maxLength: 100 },
+  phone_country_code: { type: "string", maxLength: 8 },
+  phone_number: { type: "string", maxLength: 32 },
+  preferred_language: { type: "enum", values: ["en", "es", "ar", "English", "Spanish", "Arabic"], caseInsensitive: true },
+  current_location_country: TEXT,
+  current_location_state: TEXT,
+  current_location_city: TEXT,
+  location_country: TEXT,
+  location_state: TEXT,
+  location_city: TEXT,
+  country: TEXT,
+  state: TEXT,
+  city: TEXT,
+  surgeon_id: { type: "string", maxLength: 64 },
+  surgeon_name: TEXT,
+  lead_source: TEXT,
+  gclid: TEXT,
+  gclid2: TEXT,
+  gbraid: TEXT,
+  wbraid: TEXT,
+  fbclid: TEXT,
+  msclkid: TEXT,
+  gad_source: TEXT,
+  utm_source: TEXT,
+  utm_medium: TEXT,
+  utm_campaign: TEXT,
+  utm_content: TEXT,
+  utm_term: TEXT,
+  embed_source_url: URL_TEXT,
+  landing_page_url: URL_TEXT,
+  referrer: URL_TEXT,
+  consent_version: { type: "string", maxLength: 64 },
+  consent_given_at: { type: "string", format: "date-time" },
+  consent_medical: YES_NO,
+  consent_marketing: YES_NO,
+};
+
+const CLIENT_ELIGIBILITY_FIELDS = {
+  date_of_birth: { type: "string", format: "date" },
+  eligibility: TEXT,
+  eligibility_outcome: TEXT,
+  eligibility_result: TEXT,
+  outcome: TEXT,
+  result: TEXT,
+  eligibility_flags: TEXT_OR_LIST,
+  flags: TEXT_OR_LIST,
+  eligibility_reasons: TEXT_OR_LIST,
+  reasons: TEXT_OR_LIST,
+};
+
+const QUESTIONNAIRE_FIELDS = {
+  payment_method: TEXT,
+  timeline: TEXT,
+  procedure_timeline: TEXT,
+  circumcised: YES_NO,
+  tobacco_use: YES_NO,
+  ed_history: YES_NO,
+  ed_maintain_with_or_without_meds: YES_NO,
+  active_std: YES_NO,
+  recent_outbreak_6mo: YES_NO,
+  std_list: LIST,
+  prior_procedure_list: LIST,
+  medical_conditions_list: TEXT_OR_LIST,
+  body_type: TEXT,
+};
+
+// Fields not listed are accepted and ignored by the Zoho mapping.
+const SUBMISSION_SCHEMAS = {
+  lead: { required: ["submission_type", "session_id"], fields: { ...COMMON_SUBMISSION_FIELDS } },
+  partial: {
+    required: ["submission_type", "session_id"],
+    fields: { ...COMMON_SUBMISSION_FIELDS, ...CLIENT_ELIGIBILITY_FIELDS, ...QUESTIONNAIRE_FIELDS },
+  },
+  complete: {
+    required: ["submission_type", "session_id"],
+    fields: { ...COMMON_SUBMISSION_FIELDS, ...CLIENT_ELIGIBILITY_FIELDS, ...QUESTIONNAIRE_FIELDS },
+  },
+};
+
+function isCalendarDate(s) {
+  const m = String(s).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return false;
+  const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  return d.getUTCFullYear() === Number(m[1]) && d.getUTCMonth() === Number(m[2]) - 1 && d.getUTCDate() === Number(m[3]);
+}
+
+function isIsoDateTime(s) {
+  return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(String(s)) && !Number.isNaN(Date.parse(s));
+}
 
-    if (type === "lead" && !email && !phoneE164) {
-      return res.status(400).json({ success: false, error: "lead submissions require a valid email or phone." });
+function validateFieldValue(field, spec, value) {
+  const fail = (code, message) => [{ field, code, message }];
+  switch (spec.type) {
+    case "enum": {
+      const s = typeof value === "string" ? value.trim() : value;
+      const ok = spec.caseInsensitive
+        ? typeof s === "string" && spec.values.some((v) => v.toLowerCase() === s.toLowerCase())
+        : spec.values.includes(s);
+      return ok ? [] : fail("invalid_enum", `${field} must be one of: ${spec.values.join(", ")}.`);
     }
+    case "boolean":
+      return boolToYesNo(value) ? [] : fail("invalid_type", `${field} must be a boolean or yes/no.`);
+    case "array": {
+      if (!Array.isArray(value)) return fail("invalid_type", `${field} must be an array.`);
+      if (spec.maxItems && value.length > spec.maxItems) return fail("too_many_items", `${field} allows at most ${spec.maxItems} items.`);
+      const bad = value.findIndex((x) => typeof x !== "string" || x.length > spec.items.maxLength);
+      return bad === -1 ? [] : fail("invalid_item", `${field}[${bad}] must be a string of at most ${spec.items.maxLength} characters.`);
+    }
+    case "text_or_array": {
+      const ok = typeof value === "string" || (Array.isArray(value) && value.every((x) => typeof x === "string"));
+      if (!ok) return fail("invalid_type", `${field} must be a string or an array of strings.`);
+      const length = Array.isArray(value) ? value.join("\n").length : value.length;
+      return length > spec.maxLength ? fail("too_long", `${field} must be at most ${spec.maxLength} characters.`) : [];
+    }
+    default: {
+      if (typeof value !== "string" && typeof value !== "number") return fail("invalid_type", `${field} must be a string.`);
+      const s = String(value).trim();
+      if (spec.maxLength && s.length > spec.maxLength) return fail("too_long", `${field} must be at most ${spec.maxLength} characters.`);
+      if (spec.format === "email" && !normalizeEmail(s)) return fail("invalid_format", `${field} is invalid.`);
+      if (spec.format === "date") {
+        if (!isCalendarDate(s)) return fail("invalid_format", `${field} must be a date in YYYY-MM-DD format.`);
+        if (s > todayYYYYMMDD()) return fail("out_of_range", `${field} cannot be in the future.`);
+      }
+      if (spec.format === "date-time" && !isIsoDateTime(s)) return fail("invalid_format", `${field} must be an ISO 8601 date-time.`);
+      return [];
+    }
+  }
+}
 
-    const lockKey = makeSubmissionLockKey({ type, sessionId, email, phoneE164, idempotencyKey });
-    const cacheRecent = Boolean(idempotencyKey) || type === "lead";
+function validateSubmission(submission, { type, email, phoneE164, phone }) {
+  if (!SUBMISSION_TYPES.includes(type)) {
+    return [{ field: "submission_type", code: "invalid_enum", message: "submission_type must be 'lead', 'partial', or 'complete'." }];
+  }
+  const schema = SUBMISSION_SCHEMAS[type];
+  const errors = [];
+  for (const field of schema.required) {
+    if (nullableText(submission[field]) === null) errors.push({ field, code: "required", message: `${field} is required.` });
+  }
+  for (const [field, spec] of Object.entries(schema.fields)) {
+    const value = submission[field];
+    if (value === undefined || value === null || (typeof value === "string" && value.trim() === "")) continue;
+    errors.push(...validateFieldValue(field, spec, value));
+  }
+  if (type === "lead" && !email && !phoneE164 && !errors.some((e) => e.field === "email")) {
+    if (phone.reason && phone.reason !== "missing") {
+      errors.push({
+        field: "phone_number",
+        code: "invalid_phone",
+        message: `phone_number is not a valid phone number${phone.country ? ` for ${phone.country}` : ""} (${phone.reason}).`,
+      });
+    } else {
+      errors.push({ field: "email", code: "required", message: "lead submissions require a valid email or phone." });
+    }
+  }
+  return errors;
+}
 
-    const result = await withSubmissionLock(
-      lockKey,
-      async () => {
-        const found =
-          type === "lead"
-            ? await findLeadForInitialLead({ sessionId, email, phoneE164 })
-            : await findLeadForQuestionnaire({ sessionId });
+app.get("/api/sessions/:session_id/history", requireAdmin, (req, res) => {
+  const sessionId = String(req.params.session_id || "").trim();
+  const records = historyForSession(sessionId);
+  if (!records.length) return res.status(404).json({ error: "no history for this session_id" });
+  res.json({
+    session_id: sessionId,
+    count: records.length,
+    records: records.map((r) => (r.legacy ? { ...r, legacy: historyLegacyText(r) } : { ...r, answers: historyAnswers(r) })),
+  });
+});
 
-        lead = found.lead;
-        let matchedBy = found.matchedBy;
+app.get("/api/submissions/schema", (req, res) => {
+  res.set("Cache-Control", "public, max-age=300");
+  res.json({ version: SUBMISSION_SCHEMA_VERSION, types: SUBMISSION_SCHEMAS });
+});
 
-        if (!lead?.id && type !== "lead") {
-          return {
-            status: 409,
-            body: {
-              success: false,
-              error: "No existing Lead found for this session_id. Partial and complete submissions cannot create Leads.",
-              session_id: sessionId,
-            },
-          };
-        }
+const RESUME_LANGUAGE_CODES = { english: "en", spanish: "es", arabic: "ar" };
+// Bookkeeping and eligibility results are not answers the questionnaire can prefill.
+const RESUME_OMITTED_FIELDS = new Set([
+  ...Object.keys(CLIENT_ELIGIBILITY_FIELDS).filter((f) => f !== "date_of_birth"),
+  "submission_type",
+  "session_id",
+  "idempotency_key",
+  "submitted_at",
+  "form_started_at",
+]);
 
-        const surgeonId = String(submission.surgeon_id || "").trim();
-        const surgeonAlias = surgeonId ? await fetchSurgeonAlias(surgeonId) : null;
-        const rawPayloadBase =
-          type === "lead" ? mapLeadBase(submission, surgeonAlias) : type === "partial" ? mapPartialBase(submission, surgeonAlias) : mapCompleteBase(submission, surgeonAlias);
-        const payloadBase = lead?.id ? preserveExistingLeadSource(lead, rawPayloadBase) : rawPayloadBase;
+function signResumeToken(sessionId, expiresAt) {
+  return crypto.createHmac("sha256", RESUME_TOKEN_SECRET).update(`${sessionId}.${expiresAt}`).digest("base64url");
+}
 
-        if (lead?.id) {
-          const payloadWithAppend = await appendQuestionnaireDetailsToExistingLead(lead.id, payloadBase, submission, type, {
-            sessionId,
-            email,
-            phone: phoneE164,
-          });
+// Tokens are `<expiry in epoch seconds>.<HMAC of session id and expiry>`, so no server-side state is needed.
+function issueResumeToken(sessionId) {
+  if (!RESUME_TOKEN_SECRET || !sessionId) return null;
+  const expiresAt = Math.floor(Date.now() / 1000) + RESUME_TOKEN_TTL_DAYS * 24 * 60 * 60;
+  return { token: `${expiresAt}.${signResumeToken(sessionId, expiresAt)}`, expiresAt: new Date(expiresAt * 1000).toISOString() };
+}
 
-          const upd = await updateLeadWithRecovery(lead.id, payloadWithAppend);
-          let supabaseWebhookResult = null;
-          const webhookEmail = email || normalizeEmail(lead?.Email);
-          if (type === "complete") {
-            supabaseWebhookResult = await notifySupabaseEligibilityComplete(webhookEmail);
-          }
+function verifyResumeToken(sessionId, token) {
+  const [expiresAt, signature] = String(token || "").split(".");
+  if (!/^\d+$/.test(expiresAt || "") || !signature) return false;
+  if (Number(expiresAt) * 1000 < Date.now()) return false;
+  return timingSafeEqualText(signResumeToken(sessionId, expiresAt), signature);
+}
 
-          return {
-            status: 200,
-            body: {
-              success: true,
-              created: false,
-              lead_id: lead.id,
-              matched_by: matchedBy,
-              removed_fields: upd.removed_fields || [],
-              supabase_webhook: supabaseWebhookResult,
-            },
-          };
-        }
+function resumeTokenFrom(req) {
+  return String(req.get("x-resume-token") || req.query.resume_token || "").trim();
+}
 
-        const initialSummaryEntry = buildSummaryEntryString(submission, type, { sessionId, email, phone: phoneE164 });
-        const initialFullEntry = buildFullEntryString(submission, type, { sessionId, email, phone: phoneE164 });
-        const createPayload = {
-          ...payloadBase,
-          [FIELD_QUESTIONNAIRE_DETAILS]: clampToMaxCharsKeepNewest(initialSummaryEntry, QUESTIONNAIRE_DETAILS_MAX_CHARS),
-          [FIELD_QUESTIONNAIRE_DETAILS_2]: clampToMaxCharsKeepNewest(initialFullEntry, QUESTIONNAIRE_DETAILS_2_MAX_CHARS),
-        };
+function withResumeToken(body, ctx) {
+  if (ctx.type !== "lead" || !body?.success) return body;
+  const issued = issueResumeToken(ctx.sessionId);
+  return issued ? { ...body, resume_token: issued.token, resume_token_expires_at: issued.expiresAt } : body;
+}
 
-        try {
-          const created = await createLeadWithRecovery(createPayload);
-          return {
-            status: 200,
-            body: {
-              success: true,
-              created: true,
-              lead_id: created.id,
-              matched_by: "created",
-              removed_fields: created.removed_fields || [],
-              supabase_webhook: null,
-            },
-          };
-        } catch (e) {
-          const recovered = await handleDuplicateCreateAsUpdate({
-            error: e,
-            payloadWithAppend: createPayload,
-            sessionId,
-            email,
-            phoneE164,
-          });
-          return {
-            status: 200,
-            body: {
-              success: true,
-              created: recovered.created,
-              lead_id: recovered.id,
-              matched_by: recovered.matched_by,
-              removed_fields: recovered.removed_fields || [],
-              duplicate_recovered: true,
-              supabase_webhook: null,
-            },
-          };
-        }
-      },
-      { cacheRecent }
-    );
+function resumeLanguageCode(value) {
+  const s = String(value || "").trim().toLowerCase();
+  return RESUME_LANGUAGE_CODES[s] || (["en", "es", "ar"].includes(s) ? s : null);
+}
 
-    return res.status(result.status).json(result.body);
+async function buildSessionResume(sessionId) {
+  const records = historyForSession(sessionId).filter((r) => !r.legacy);
+  if (!records.length) return null;
+  const answers = {};
+  let lastStep = null;
+  for (const record of records) {
+    for (const [field, value] of Object.entries(historyAnswers(record))) {
+      if (value === null || value === undefined || value === "") continue;
+      answers[field] = value;
+    }
+    if (SUBMISSION_TYPES.indexOf(record.submission_type) > SUBMISSION_TYPES.indexOf(lastStep)) lastStep = record.submission_type;
+  }
+
+  const prefill = Object.fromEntries(
+    Object.entries(answers).filter(
+      ([field]) => !RESUME_OMITTED_FIELDS.has(field) && REDACTION_PROFILES.resume.has(submissionFieldCategory(field))
+    )
+  );
+
+  const surgeonId = nullableText(answers.surgeon_id);
+  let surgeonName = nullableText(answers.surgeon_name);
+  if (surgeonId) {
+    try {
+      surgeonName = nullableText((await getSurgeonRecord(surgeonId))?.[FIELD_NAME]) || surgeonName;
+    } catch (e) {
+      logger.warn(`[Resume] could not load surgeon ${surgeonId}`, { error: errorText(e) });
+    }
+  }
+
+  const nextStep = SUBMISSION_TYPES[SUBMISSION_TYPES.indexOf(lastStep) + 1] || null;
+  return {
+    session_id: sessionId,
+    lead_created: records.some((r) => r.lead_id),
+    last_step: lastStep,
+    next_step: nextStep,
+    completed: !nextStep,
+    updated_at: records[records.length - 1].received_at,
+    preferred_language: resumeLanguageCode(answers.preferred_language),
+    surgeon: surgeonId || surgeonName ? { id: surgeonId, name: surgeonName } : null,
+    answers: prefill,
+  };
+}
+
+app.get("/api/sessions/:session_id", async (req, res) => {
+  const sessionId = String(req.params.session_id || "").trim();
+  if (!RESUME_TOKEN_SECRET) return res.status(503).json({ error: "session resume is not configured" });
+  const token = resumeTokenFrom(req) || String(req.query.token || "").trim();
+  if (!verifyResumeToken(sessionId, token)) return res.status(401).json({ error: "invalid or expired resume token" });
+  setLogContext({ sessionId });
+  res.set("Cache-Control", "private, no-store");
+  try {
+    const resume = await buildSessionResume(sessionId);
+    if (!resume) return res.status(404).json({ error: "no saved progress for this session_id" });
+    res.json(resume);
   } catch (e) {
-    const zohoErr = e?.zoho || null;
-    const zohoHttp = e?.httpStatus || null;
-    await createZohoErrorTask({
-      leadId: lead?.id || null,
-      submissionType: type,
-      sessionId,
-      email,
-      phoneE164,
-      errorMessage: String(e?.message || e),
-      zohoDetails: zohoErr,
-      submissionPayload: submission,
+    logger.error("[Resume] failed to build session resume", { error: errorText(e) });
+    res.status(500).json({ error: "session resume failed" });
+  }
+});
+
+const conversionStore = createJsonFileStore("conversions");
+const CONVERSION_EVENT_NAME = CONVERSION_NAME || "Eligibility Complete";
+const CONVERSION_DEFAULT_CURRENCY = (CONVERSION_CURRENCY || "USD").toUpperCase();
+const CONVERSION_VALUE_BY_ELIGIBILITY = (() => {
+  const defaults = { [ELIGIBILITY_ELIGIBLE]: 100, [ELIGIBILITY_NEEDS_REVIEW]: 25, [ELIGIBILITY_NOT_ELIGIBLE]: 0 };
+  try {
+    return { ...defaults, ...(CONVERSION_VALUES ? JSON.parse(CONVERSION_VALUES) : {}) };
+  } catch (e) {
+    logger.error("[Conversions] invalid CONVERSION_VALUES, using defaults", { error: errorText(e) });
+    return defaults;
+  }
+})();
+
+function sha256Hex(value) {
+  return value ? crypto.createHash("sha256").update(String(value)).digest("hex") : null;
+}
+
+// One conversion per lead: repeat completions refresh the value but keep the original conversion time,
+// so re-exported rows stay identical and the ad platforms can dedupe them.
+async function recordConversion({ lead, submission, evaluation, email, phoneE164 }) {
+  const id = `${lead.id}:${CONVERSION_EVENT_NAME}`;
+  const existing = conversionStore.get(id);
+  const phone = phoneE164 || nullableText(lead.Phone) || nullableText(lead.Mobile);
+  const pick = (...values) => firstText(...values) || null;
+  return conversionStore.put(id, {
+    lead_id: String(lead.id),
+    session_id: nullableText(submission.session_id),
+    conversion_name: CONVERSION_EVENT_NAME,
+    occurred_at: existing?.occurred_at || new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+    eligibility: evaluation.eligibility,
+    outcome: evaluation.outcome,
+    value: Number(CONVERSION_VALUE_BY_ELIGIBILITY[evaluation.eligibility] ?? 0),
+    currency: CONVERSION_DEFAULT_CURRENCY,
+    gclid: pick(submission.gclid, submission.gclid2, lead.gclid2),
+    gbraid: pick(submission.gbraid, lead.GBRAID),
+    wbraid: pick(submission.wbraid, lead.WBRAID),
+    fbclid: pick(submission.fbclid, lead.FBCLID),
+    msclkid: pick(submission.msclkid, lead.MSCLKID),
+    landing_page_url: pick(submission.landing_page_url, lead.Landing_Page_URL),
+    email_sha256: sha256Hex(normalizeEmail(email || lead.Email)),
+    phone_sha256: sha256Hex(phone),
+    phone_digits_sha256: sha256Hex(digitsOnly(phone)),
+  });
+}
+
+function csvCell(value) {
+  const s = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+function formatConversionTime(iso) {
+  return new Date(iso).toISOString().replace("T", " ").slice(0, 19);
+}
+
+const CONVERSION_EXPORTS = {
+  google: {
+    contentType: "text/csv",
+    extension: "csv",
+    render(conversions) {
+      const rows = conversions
+        .filter((c) => c.gclid || c.email_sha256 || c.phone_sha256)
+        .map((c) => [c.gclid, c.conversion_name, formatConversionTime(c.occurred_at), c.value, c.currency, c.email_sha256, c.phone_sha256]);
+      const header = ["Google Click ID", "Conversion Name", "Conversion Time", "Conversion Value", "Conversion Currency", "Email", "Phone Number"];
+      return "Parameters:TimeZone=+0000\r\n" + toCsv(header, rows);
+    },
+  },
+  meta: {
+    contentType: "application/json",
+    extension: "json",
+    render(conversions) {
+      const data = conversions
+        .filter((c) => c.fbclid || c.email_sha256 || c.phone_digits_sha256)
+        .map((c) => {
+          const eventTime = Math.floor(Date.parse(c.occurred_at) / 1000);
+          return {
+            event_name: c.conversion_name,
+            event_time: eventTime,
+            event_id: c.id,
+            action_source: "website",
+            event_source_url: c.landing_page_url || undefined,
+            user_data: pruneEmpty({
+              em: c.email_sha256 ? [c.email_sha256] : null,
+              ph: c.phone_digits_sha256 ? [c.phone_digits_sha256] : null,
+              fbc: c.fbclid ? `fb.1.${eventTime * 1000}.${c.fbclid}` : null,
+              external_id: [sha256Hex(c.lead_id)],
+            }),
+            custom_data: { value: c.value, currency: c.currency, eligibility: c.eligibility },
+          };
+        });
+      return JSON.stringify({ data }, null, 2);
+    },
+  },
+  microsoft: {
+    contentType: "text/csv",
+    extension: "csv",
+    render(conversions) {
+      const rows = conversions
+        .filter((c) => c.msclkid || c.email_sha256 || c.phone_sha256)
+        .map((c) => [c.msclkid, c.conversion_name, formatConversionTime(c.occurred_at), c.value, c.currency, c.email_sha256, c.phone_sha256]);
+      const header = ["Microsoft Click ID", "Conversion Name", "Conversion Time", "Conversion Value", "Conversion Currency", "Hashed Email Address", "Hashed Phone Number"];
+      return "Parameters:TimeZone=+0000\r\n" + toCsv(header, rows);
+    },
+  },
+};
+
+app.get("/api/admin/conversions/export", requireAdmin, (req, res) => {
+  const format = String(req.query.format || "").trim().toLowerCase();
+  const exporter = CONVERSION_EXPORTS[format];
+  if (!exporter) return res.status(400).json({ error: `format must be one of: ${Object.keys(CONVERSION_EXPORTS).join(", ")}` });
+  const from = String(req.query.from || "").trim();
+  const to = String(req.query.to || "").trim() || new Date().toISOString().slice(0, 10);
+  if (!isCalendarDate(from) || !isCalendarDate(to) || from > to) {
+    return res.status(400).json({ error: "from and to must be YYYY-MM-DD dates with from <= to" });
+  }
+  const eligibility = String(req.query.eligibility || "")
+    .split(",")
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
+  const conversions = conversionStore
+    .values()
+    .filter((c) => {
+      const day = c.occurred_at.slice(0, 10);
+      return day >= from && day <= to && (!eligibility.length || eligibility.includes(String(c.eligibility).toLowerCase()));
+    })
+    .sort((a, b) => a.occurred_at.localeCompare(b.occurred_at));
+  res.set("Content-Type", exporter.contentType);
+  res.set("Content-Disposition", `attachment; filename="conversions-${format}-${from}-${to}.${exporter.extension}"`);
+  res.send(exporter.render(conversions));
+});
+
+async function executeSubmission(submission, ctx, state = {}) {
+  const { type, sessionId, email, phoneE164, idempotencyKey } = ctx;
+  const lockKey = makeSubmissionLockKey({ type, sessionId, email, phoneE164, idempotencyKey });
+  const cacheTtlMs = idempotencyKey ? IDEMPOTENCY_TTL_MS : type === "lead" ? RECENT_RESULT_TTL_MS : 0;
+
+  const result = await withSubmissionLock(
+    lockKey,
+    async () => {
+      // Earlier answers for this session are still parked; queue behind them to keep the order.
+      if (type !== "lead" && !state.pendingId && pendingForSession(sessionId).length) {
+        return parkPendingSubmission(submission, ctx);
+      }
+
+      const found =
+        type === "lead"
+          ? await findLeadForInitialLead({ sessionId, email, phoneE164 })
+          : await findLeadForQuestionnaire({ sessionId });
+
+      const lead = found.lead;
+      state.lead = lead;
+      setLogContext({ leadId: lead?.id });
+      let matchedBy = found.matchedBy;
+
+      if (!lead?.id && type !== "lead") {
+        if (!state.pendingId) return parkPendingSubmission(submission, ctx);
+        return {
+          status: 409,
+          body: {
+            success: false,
+            error: "No existing Lead found for this session_id. Partial and complete submissions cannot create Leads.",
+            session_id: sessionId,
+          },
+        };
+      }
+
+      const originDefaults = getOriginDefaults(ctx.origin);
+      const surgeonId = String(submission.surgeon_id || "").trim();
+      const surgeonAlias = surgeonId ? await fetchSurgeonAlias(surgeonId) : null;
+      const rawPayloadBase =
+        type === "lead"
+          ? mapLeadBase(submission, surgeonAlias, originDefaults)
+          : type === "partial"
+            ? mapPartialBase(submission, surgeonAlias, originDefaults)
+            : mapCompleteBase(submission, surgeonAlias, originDefaults);
+      const payloadBase = lead?.id ? preserveExistingLeadSource(lead, rawPayloadBase, submission) : rawPayloadBase;
+
+      if (lead?.id) {
+        const appended = await appendQuestionnaireDetailsToExistingLead(lead.id, payloadBase, submission, type, {
+          sessionId,
+          email,
+          phone: phoneE164,
+        });
+
+        let upd;
+        try {
+          upd = await updateLeadWithRecovery(lead.id, appended.payload);
+        } catch (e) {
+          await discardHistoryRecord(appended.record);
+          throw e;
+        }
+        publishHistoryNote(appended.record);
+        const evaluation = type === "lead" ? null : evaluateEligibility(submission, type);
+        if (evaluation?.mismatch) {
+          logger.warn("[Eligibility] client/server mismatch", {
+            client_eligibility: evaluation.client.eligibility,
+            server_eligibility: evaluation.eligibility,
+            rules_version: evaluation.rules_version,
+          });
+        }
+        if (type === "complete") {
+          try {
+            await recordConversion({ lead, submission, evaluation, email, phoneE164 });
+          } catch (e) {
+            logger.error("[Conversions] failed to record conversion", { error: errorText(e) });
+          }
+        }
+        const webhookEmail = email || normalizeEmail(lead?.Email);
+        const eventData = { lead_id: lead.id, session_id: sessionId, submission_type: type, matched_by: matchedBy, email: webhookEmail || null };
+        const webhookResults = await emitWebhookEvent("lead.updated", eventData);
+        if (type !== "lead") {
+          Object.assign(
+            webhookResults,
+            await emitWebhookEvent(`submission.${type}`, {
+              ...eventData,
+              eligibility: { rules_version: evaluation.rules_version, eligibility: evaluation.eligibility, outcome: evaluation.outcome },
+            })
+          );
+        }
+
+        return {
+          status: 200,
+          body: {
+            success: true,
+            created: false,
+            lead_id: lead.id,
+            matched_by: matchedBy,
+            removed_fields: upd.removed_fields || [],
+            eligibility: evaluation
+              ? {
+                  rules_version: evaluation.rules_version,
+                  eligibility: evaluation.eligibility,
+                  outcome: evaluation.outcome,
+                  flags: evaluation.flags,
+                  reasons: evaluation.reasons,
+                  mismatch: evaluation.mismatch,
+                }
+              : undefined,
+            supabase_webhook: webhookResults["supabase-eligibility"] || null,
+          },
+        };
+      }
+
+      const historyRecord = await recordQuestionnaireHistory({ submission, type, ctx: { sessionId, email, phone: phoneE164 } });
+      const createPayload = withQuestionnaireDigest(payloadBase, [historyRecord]);
+
+      try {
+        const created = await createLeadWithRecovery(createPayload);
+        setLogContext({ leadId: created.id });
+        await attachHistoryToLead(historyRecord, created.id);
+        await emitWebhookEvent("lead.created", { lead_id: created.id, session_id: sessionId, submission_type: type, email: email || null });
+        return {
+          status: 200,
+          body: {
+            success: true,
+            created: true,
+            lead_id: created.id,
+            matched_by: "created",
+            removed_fields: created.removed_fields || [],
+            supabase_webhook: null,
+          },
+        };
+      } catch (e) {
+        let recovered;
+        try {
+          recovered = await handleDuplicateCreateAsUpdate({
+            error: e,
+            submission,
+            payloadWithAppend: createPayload,
+            historyRecord,
+            sessionId,
+            email,
+            phoneE164,
+          });
+        } catch (recoverErr) {
+          await discardHistoryRecord(historyRecord);
+          throw recoverErr;
+        }
+        await emitWebhookEvent("lead.updated", {
+          lead_id: recovered.id,
+          session_id: sessionId,
+          submission_type: type,
+          matched_by: recovered.matched_by,
+          email: email || null,
+        });
+        return {
+          status: 200,
+          body: {
+            success: true,
+            created: recovered.created,
+            lead_id: recovered.id,
+            matched_by: recovered.matched_by,
+            removed_fields: recovered.removed_fields || [],
+            duplicate_recovered: true,
+            supabase_webhook: null,
+          },
+        };
+      }
+    },
+    { cacheTtlMs, skipCachedResult: !!state.pendingId }
+  );
+
+  if (type === "lead" && result.body?.lead_id && pendingForSession(sessionId).length) {
+    applyPendingSubmissions(sessionId).catch((e) => logger.error("[Pending] failed to apply parked submissions", { error: errorText(e) }));
+  }
+  return result;
+}
+
+function isRetryableSubmissionError(e) {
+  const zohoHttp = e?.httpStatus || null;
+  return !zohoHttp || zohoHttp === 429 || zohoHttp >= 500;
+}
+
+const payloadVaultStore = createJsonFileStore("payload-vault");
+let payloadVaultKey = null;
+
+// PAYLOAD_VAULT_KEY is 32 bytes, hex or base64. Without it a key is generated once into STATE_DIR,
+// which still keeps payloads out of Zoho but offers no protection against someone with disk access.
+function loadPayloadVaultKey() {
+  if (PAYLOAD_VAULT_KEY) {
+    const raw = String(PAYLOAD_VAULT_KEY).trim();
+    const key = Buffer.from(raw, /^[0-9a-f]{64}$/i.test(raw) ? "hex" : "base64");
+    if (key.length === 32) return key;
+    logger.error("[Vault] PAYLOAD_VAULT_KEY must be 32 bytes (hex or base64); falling back to the local key file");
+  }
+  const file = path.join(STATE_PATH, "payload-vault.key");
+  try {
+    return Buffer.from(fs.readFileSync(file, "utf8").trim(), "base64");
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+  const key = crypto.randomBytes(32);
+  fs.mkdirSync(STATE_PATH, { recursive: true });
+  fs.writeFileSync(file, key.toString("base64"), { mode: 0o600, flag: "wx" });
+  logger.warn(`[Vault] PAYLOAD_VAULT_KEY is not set; generated a local key at ${file}`);
+  return key;
+}
+
+function getPayloadVaultKey() {
+  if (!payloadVaultKey) payloadVaultKey = loadPayloadVaultKey();
+  return payloadVaultKey;
+}
+
+async function sealPayload(payload, meta = {}) {
+  const id = crypto.randomUUID();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getPayloadVaultKey(), iv);
+  cipher.setAAD(Buffer.from(id));
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(payload)), cipher.final()]);
+  await payloadVaultStore.put(id, {
+    ...meta,
+    created_at: new Date().toISOString(),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    ciphertext: ciphertext.toString("base64"),
+  });
+  return id;
+}
+
+function openPayload(id) {
+  const entry = id ? payloadVaultStore.get(id) : null;
+  if (!entry) return null;
+  try {
+    const decipher = crypto.createDecipheriv("aes-256-gcm", getPayloadVaultKey(), Buffer.from(entry.iv, "base64"));
+    decipher.setAAD(Buffer.from(id));
+    decipher.setAuthTag(Buffer.from(entry.tag, "base64"));
+    return JSON.parse(Buffer.concat([decipher.update(Buffer.from(entry.ciphertext, "base64")), decipher.final()]).toString("utf8"));
+  } catch (e) {
+    logger.error(`[Vault] failed to decrypt payload ${id}`, { error: errorText(e) });
+    return null;
+  }
+}
+
+// Outbox and pending entries from before the vault kept the submission inline.
+function storedSubmission(entry) {
+  return entry.payload_id ? openPayload(entry.payload_id) : entry.submission || null;
+}
+
+const failureStore = createJsonFileStore("failures");
+
+async function reportSubmissionFailure(e, { submission, ctx, leadId, source, outboxId }) {
+  const zohoErr = e?.zoho || null;
+  const zohoHttp = e?.httpStatus || null;
+  let payloadId = null;
+  try {
+    payloadId = await sealPayload(submission, { kind: "failure", session_id: ctx.sessionId || null, lead_id: leadId || null });
+  } catch (vaultErr) {
+    logger.error("[Vault] failed to store failed submission", { error: errorText(vaultErr) });
+  }
+  const taskId = await createZohoErrorTask({
+    leadId: leadId || null,
+    submissionType: ctx.type,
+    sessionId: ctx.sessionId,
+    email: ctx.email,
+    phoneE164: ctx.phoneE164,
+    errorMessage: String(e?.message || e),
+    zohoDetails: zohoErr,
+    submissionPayload: submission,
+    payloadId,
+  });
+  await emitWebhookEvent("submission.failed", {
+    lead_id: leadId || null,
+    session_id: ctx.sessionId,
+    submission_type: ctx.type,
+    error: { message: String(e?.message || e), zoho_http: zohoHttp, zoho_code: zohoErr?.code || null },
+  });
+  logger.error(`[${source}] submission failed`, {
+    error: errorText(e),
+    submission_type: ctx.type,
+    lead_id: leadId || undefined,
+    zoho_http: zohoHttp || undefined,
+    zoho_code: zohoErr?.code,
+    api_name: zohoErr?.details?.api_name,
+  });
+  try {
+    await failureStore.put(crypto.randomUUID(), {
+      status: "open",
+      source,
+      created_at: new Date().toISOString(),
+      submission_type: ctx.type,
+      session_id: ctx.sessionId,
+      lead_id: leadId || null,
+      outbox_id: outboxId || null,
+      origin: ctx.origin,
+      zoho_task_id: taskId,
+      error: {
+        ...summarizeSubmissionError(e),
+        zoho_api_name: zohoErr?.details?.api_name || null,
+        zoho_message: zohoErr?.message || null,
+      },
+      removed_fields: e?.removedFields || [],
+      payload_id: payloadId,
+      email_sha256: sha256Hex(ctx.email),
+      submission_redacted: redactSubmission(submission, REDACTION_PROFILES.debug),
+      replays: [],
+    });
+  } catch (storeErr) {
+    logger.error("[Failures] failed to record failure", { error: errorText(storeErr) });
+  }
+}
+
+function toFailureSummary({ submission, submission_redacted, replays, ...failure }) {
+  return { ...failure, replay_count: replays.length };
+}
+
+async function pruneFailureLog() {
+  const cutoff = new Date(Date.now() - FAILURE_RETENTION_DAYS * 24 * 60 * 60_000).toISOString();
+  try {
+    for (const failure of failureStore.values()) {
+      if (failure.status !== "resolved" || failure.created_at >= cutoff) continue;
+      await failureStore.remove(failure.id);
+      if (failure.payload_id) await payloadVaultStore.remove(failure.payload_id);
+    }
+  } catch (e) {
+    logger.error("[Failures] prune failed", { error: errorText(e) });
+  }
+}
+
+const outboxStore = createJsonFileStore("outbox");
+let outboxRunning = false;
+
+function outboxBackoffMs(attempts) {
+  const exp = Math.min(OUTBOX_MAX_DELAY_MS, OUTBOX_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1));
+  return Math.round(exp * (0.8 + Math.random() * 0.4));
+}
+
+function summarizeSubmissionError(e) {
+  return {
+    message: String(e?.message || e),
+    zoho_http: e?.httpStatus || null,
+    zoho_code: e?.zoho?.code || null,
+  };
+}
+
+async function enqueueOutboxEntry(submission, ctx) {
+  const now = new Date().toISOString();
+  return outboxStore.put(crypto.randomUUID(), {
+    status: "processing",
+    session_id: ctx.sessionId || null,
+    email_sha256: sha256Hex(ctx.email),
+    payload_id: await sealPayload(submission, { kind: "outbox", session_id: ctx.sessionId || null }),
+    origin: ctx.origin,
+    attempts: 0,
+    created_at: now,
+    updated_at: now,
+    next_attempt_at: null,
+    last_error: null,
+  });
+}
+
+async function removeOutboxEntry(id) {
+  const entry = outboxStore.get(id);
+  if (!entry) return;
+  await outboxStore.remove(id);
+  if (entry.payload_id) await payloadVaultStore.remove(entry.payload_id);
+}
+
+async function scheduleOutboxRetry(entry, submission, e) {
+  const attempts = entry.attempts + 1;
+  const now = Date.now();
+  const updated = {
+    ...entry,
+    attempts,
+    updated_at: new Date(now).toISOString(),
+    last_error: summarizeSubmissionError(e),
+  };
+  if (attempts >= OUTBOX_MAX_ATTEMPTS) {
+    await outboxStore.put(entry.id, { ...updated, status: "dead", next_attempt_at: null, dead_at: updated.updated_at });
+    logger.error(`[Outbox] ${entry.id} dead-lettered after ${attempts} attempts`, { error: updated.last_error.message, zoho_code: updated.last_error.zoho_code });
+    await reportSubmissionFailure(e, {
+      submission,
+      ctx: getSubmissionContext(submission, { origin: entry.origin }),
+      source: `Outbox dead letter ${entry.id}`,
+      outboxId: entry.id,
     });
-    console.error(
-      "[POST /api/submissions] error:",
-      String(e?.message || e),
-      zohoHttp ? `(zoho_http=${zohoHttp})` : "",
-      zohoErr?.code ? `(zoho_code=${zohoErr.code})` : "",
-      zohoErr?.details?.api_name ? `(api_name=${zohoErr.details.api_name})` : ""
+    return;
+  }
+  const nextAttemptAt = new Date(now + outboxBackoffMs(attempts)).toISOString();
+  await outboxStore.put(entry.id, { ...updated, status: "queued", next_attempt_at: nextAttemptAt });
+  logger.warn(`[Outbox] ${entry.id} queued for retry #${attempts} at ${nextAttemptAt}`, { error: updated.last_error.message, zoho_code: updated.last_error.zoho_code });
+}
+
+async function markOutboxDelivered(entry, result) {
+  const { submission, payload_id, ...rest } = entry;
+  if (payload_id) await payloadVaultStore.remove(payload_id);
+  await outboxStore.put(entry.id, {
+    ...rest,
+    status: "delivered",
+    attempts: entry.attempts + 1,
+    updated_at: new Date().toISOString(),
+    delivered_at: new Date().toISOString(),
+    next_attempt_at: null,
+    result_status: result.status,
+    lead_id: result.body?.lead_id || null,
+  });
+}
+
+async function processOutbox() {
+  if (outboxRunning) return;
+  outboxRunning = true;
+  try {
+    const now = Date.now();
+    for (const entry of outboxStore.values()) {
+      if (entry.status === "delivered" && Date.parse(entry.delivered_at) + OUTBOX_DELIVERED_RETENTION_MS < now) {
+        await removeOutboxEntry(entry.id);
+        continue;
+      }
+      if (entry.status !== "queued" || Date.parse(entry.next_attempt_at) > now) continue;
+      const submission = storedSubmission(entry);
+      if (!submission) {
+        await outboxStore.put(entry.id, {
+          ...entry,
+          status: "dead",
+          updated_at: new Date().toISOString(),
+          dead_at: new Date().toISOString(),
+          next_attempt_at: null,
+          last_error: summarizeSubmissionError(new Error("stored submission is no longer available")),
+        });
+        logger.error(`[Outbox] ${entry.id} dead-lettered: stored submission is no longer available`);
+        continue;
+      }
+      await outboxStore.put(entry.id, { ...entry, status: "processing", updated_at: new Date().toISOString() });
+      const ctx = getSubmissionContext(submission, { origin: entry.origin });
+      try {
+        const result = await executeSubmission(submission, ctx);
+        await markOutboxDelivered(entry, result);
+        logger.info(`[Outbox] ${entry.id} delivered on attempt ${entry.attempts + 1}`, { status: result.status, lead_id: result.body?.lead_id });
+      } catch (e) {
+        if (isRetryableSubmissionError(e)) {
+          await scheduleOutboxRetry(entry, submission, e);
+        } else {
+          await outboxStore.put(entry.id, {
+            ...entry,
+            status: "dead",
+            attempts: entry.attempts + 1,
+            updated_at: new Date().toISOString(),
+            dead_at: new Date().toISOString(),
+            last_error: summarizeSubmissionError(e),
+          });
+          await reportSubmissionFailure(e, { submission, ctx, source: `Outbox ${entry.id}`, outboxId: entry.id });
+        }
+      }
+    }
+  } catch (e) {
+    logger.error("[Outbox] worker failed", { error: errorText(e) });
+  } finally {
+    outboxRunning = false;
+  }
+}
+
+function getOutboxStats() {
+  const stats = { queued: 0, processing: 0, delivered: 0, dead: 0 };
+  for (const entry of outboxStore.values()) {
+    if (stats[entry.status] !== undefined) stats[entry.status] += 1;
+  }
+  return stats;
+}
+
+app.get("/api/outbox/:tracking_id", (req, res) => {
+  const entry = outboxStore.get(String(req.params.tracking_id || "").trim());
+  if (!entry) return res.status(404).json({ error: "tracking id not found" });
+  res.json({
+    tracking_id: entry.id,
+    status: entry.status,
+    attempts: entry.attempts,
+    next_attempt_at: entry.next_attempt_at,
+    lead_id: entry.lead_id || null,
+  });
+});
+
+const pendingSubmissionStore = createJsonFileStore("pending-submissions");
+const pendingSessionsApplying = new Set();
+let pendingRunning = false;
+
+function pendingForSession(sessionId) {
+  return pendingSubmissionStore
+    .values()
+    .filter((p) => p.status === "pending" && p.session_id === sessionId)
+    .sort(byReceivedAt);
+}
+
+async function parkPendingSubmission(submission, ctx) {
+  const now = Date.now();
+  const entry = await pendingSubmissionStore.put(crypto.randomUUID(), {
+    status: "pending",
+    session_id: ctx.sessionId,
+    submission_type: ctx.type,
+    email_sha256: sha256Hex(ctx.email),
+    payload_id: await sealPayload(submission, { kind: "pending", session_id: ctx.sessionId || null }),
+    origin: ctx.origin,
+    received_at: new Date(now).toISOString(),
+    expires_at: new Date(now + PENDING_SUBMISSION_TTL_MS).toISOString(),
+  });
+  metrics.pendingSubmissions.inc({ event: "parked" });
+  logger.info(`[Pending] parked ${ctx.type} submission ${entry.id} until the lead exists`);
+  return {
+    status: 202,
+    body: { success: true, status: "pending", pending_id: entry.id, session_id: ctx.sessionId, expires_at: entry.expires_at },
+  };
+}
+
+async function resolvePendingEntry(entry, fields) {
+  const { submission, payload_id, ...rest } = entry;
+  if (payload_id) await payloadVaultStore.remove(payload_id);
+  await pendingSubmissionStore.put(entry.id, { ...rest, ...fields, resolved_at: new Date().toISOString() });
+}
+
+// Oldest first, stopping at the first entry that cannot be applied yet so later answers never overtake earlier ones.
+async function applyPendingSubmissions(sessionId) {
+  if (!sessionId || pendingSessionsApplying.has(sessionId)) return;
+  pendingSessionsApplying.add(sessionId);
+  try {
+    for (const entry of pendingForSession(sessionId)) {
+      const submission = storedSubmission(entry);
+      if (!submission) {
+        await resolvePendingEntry(entry, {
+          status: "failed",
+          last_error: summarizeSubmissionError(new Error("stored submission is no longer available")),
+        });
+        metrics.pendingSubmissions.inc({ event: "failed" });
+        logger.error(`[Pending] ${entry.id} failed: stored submission is no longer available`);
+        continue;
+      }
+      const ctx = getSubmissionContext(submission, { origin: entry.origin });
+      try {
+        const result = await executeSubmission(submission, ctx, { pendingId: entry.id });
+        if (result.status !== 200 || !result.body?.lead_id) break;
+        await resolvePendingEntry(entry, { status: "applied", result_status: result.status, lead_id: result.body?.lead_id || null });
+        metrics.pendingSubmissions.inc({ event: "applied" });
+        logger.info(`[Pending] applied ${entry.id}`, { lead_id: result.body?.lead_id });
+      } catch (e) {
+        if (isRetryableSubmissionError(e)) {
+          logger.warn(`[Pending] ${entry.id} could not be applied yet`, { error: errorText(e) });
+          break;
+        }
+        await resolvePendingEntry(entry, { status: "failed", last_error: summarizeSubmissionError(e) });
+        metrics.pendingSubmissions.inc({ event: "failed" });
+        await reportSubmissionFailure(e, { submission, ctx, source: `Pending ${entry.id}` });
+      }
+    }
+  } finally {
+    pendingSessionsApplying.delete(sessionId);
+  }
+}
+
+async function processPendingSubmissions() {
+  if (pendingRunning) return;
+  pendingRunning = true;
+  try {
+    const now = Date.now();
+    for (const entry of pendingSubmissionStore.values()) {
+      if (entry.status !== "pending") {
+        if (Date.parse(entry.resolved_at) + PENDING_RESOLVED_RETENTION_MS < now) await pendingSubmissionStore.remove(entry.id);
+        continue;
+      }
+      if (Date.parse(entry.expires_at) > now) continue;
+      const submission = storedSubmission(entry);
+      await resolvePendingEntry(entry, { status: "expired" });
+      metrics.pendingSubmissions.inc({ event: "expired" });
+      if (!submission) continue;
+      await reportSubmissionFailure(new Error("No lead was found for this session_id before the pending submission expired"), {
+        submission,
+        ctx: getSubmissionContext(submission, { origin: entry.origin }),
+        source: `Pending ${entry.id}`,
+      });
+    }
+    const sessions = new Set(pendingSubmissionStore.values().filter((p) => p.status === "pending").map((p) => p.session_id));
+    for (const sessionId of sessions) await applyPendingSubmissions(sessionId);
+  } catch (e) {
+    logger.error("[Pending] worker failed", { error: errorText(e) });
+  } finally {
+    pendingRunning = false;
+  }
+}
+
+function getPendingStats() {
+  const stats = { pending: 0, applied: 0, expired: 0, failed: 0 };
+  for (const entry of pendingSubmissionStore.values()) {
+    if (stats[entry.status] !== undefined) stats[entry.status] += 1;
+  }
+  return stats;
+}
+
+app.get("/api/pending/:pending_id", (req, res) => {
+  const entry = pendingSubmissionStore.get(String(req.params.pending_id || "").trim());
+  if (!entry) return res.status(404).json({ error: "pending id not found" });
+  res.json({
+    pending_id: entry.id,
+    status: entry.status,
+    submission_type: entry.submission_type,
+    expires_at: entry.expires_at,
+    lead_id: entry.lead_id || null,
+  });
+});
+
+app.get("/api/admin/failures", requireAdmin, (req, res) => {
+  const status = String(req.query.status || "").trim();
+  const type = String(req.query.type || "").trim();
+  const limit = Math.min(toPositiveInt(req.query.limit, 100), 500);
+  const failures = failureStore
+    .values()
+    .filter((f) => (!status || f.status === status) && (!type || f.submission_type === type))
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)))
+    .slice(0, limit)
+    .map(toFailureSummary);
+  res.json({ failures });
+});
+
+app.get("/api/admin/failures/:id", requireAdmin, (req, res) => {
+  const failure = failureStore.get(String(req.params.id || "").trim());
+  if (!failure) return res.status(404).json({ error: "failure not found" });
+  res.json(failure);
+});
+
+app.get("/api/admin/payloads/:id", requireAdmin, (req, res) => {
+  const id = String(req.params.id || "").trim();
+  const entry = payloadVaultStore.get(id);
+  if (!entry) return res.status(404).json({ error: "payload not found" });
+  const payload = openPayload(id);
+  if (!payload) return res.status(500).json({ error: "payload could not be decrypted" });
+  logger.info(`[Vault] payload ${id} read`, { kind: entry.kind });
+  res.set("Cache-Control", "no-store");
+  res.json({ id, kind: entry.kind, created_at: entry.created_at, session_id: entry.session_id, lead_id: entry.lead_id, payload });
+});
+
+app.post("/api/admin/failures/:id/replay", requireAdmin, async (req, res) => {
+  const failure = failureStore.get(String(req.params.id || "").trim());
+  if (!failure) return res.status(404).json({ error: "failure not found" });
+  if (failure.status === "resolved" && String(req.query.force || "") !== "true") {
+    return res.status(409).json({ error: "failure already resolved", resolved_at: failure.resolved_at });
+  }
+
+  // Records from before the vault kept the raw submission inline; newer ones can only replay from the vault.
+  const submission = "payload_id" in failure ? openPayload(failure.payload_id) : failure.submission || {};
+  if (!submission) return res.status(409).json({ error: "the original payload for this failure is no longer available" });
+  const ctx = getSubmissionContext(submission, { origin: failure.origin });
+  const errors = validateSubmission(submission, ctx);
+  if (errors.length) {
+    return res.status(400).json({ success: false, error: errors[0].message, errors });
+  }
+
+  const replayedAt = new Date().toISOString();
+  try {
+    const result = await executeSubmission(submission, ctx);
+    const ok = result.status >= 200 && result.status < 300;
+    const replays = [...failure.replays, { at: replayedAt, status: result.status, lead_id: result.body?.lead_id || null }];
+    if (!ok) {
+      await failureStore.put(failure.id, { ...failure, replays });
+      return res.status(result.status).json({ success: false, failure_id: failure.id, result: result.body });
+    }
+    const taskCompleted = await completeZohoErrorTask(failure.zoho_task_id);
+    if (failure.outbox_id) await removeOutboxEntry(failure.outbox_id);
+    const resolved = await failureStore.put(failure.id, {
+      ...failure,
+      status: "resolved",
+      resolved_at: replayedAt,
+      lead_id: result.body?.lead_id || failure.lead_id,
+      replays,
+    });
+    logger.info(`[Failures] ${failure.id} replayed`, { lead_id: resolved.lead_id });
+    res.json({ success: true, failure_id: failure.id, zoho_task_completed: taskCompleted, result: result.body });
+  } catch (e) {
+    const replays = [...failure.replays, { at: replayedAt, error: summarizeSubmissionError(e), removed_fields: e?.removedFields || [] }];
+    await failureStore.put(failure.id, { ...failure, replays });
+    logger.error(`[Failures] ${failure.id} replay failed`, { error: errorText(e), zoho_code: e?.zoho?.code });
+    res.status(502).json({ success: false, failure_id: failure.id, error: summarizeSubmissionError(e) });
+  }
+});
+
+const consentStore = createJsonFileStore("consents");
+const erasureLogStore = createJsonFileStore("erasures");
+
+function consentErrors(submission, { type }) {
+  if (!CONSENT_REQUIRED || type !== "lead") return [];
+  const errors = [];
+  if (!nullableText(submission.consent_version)) {
+    errors.push({ field: "consent_version", code: "consent_required", message: "consent_version is required." });
+  }
+  if (boolToYesNo(submission.consent_medical) !== "Yes") {
+    errors.push({ field: "consent_medical", code: "consent_required", message: "consent_medical must be true to submit a lead." });
+  }
+  return errors;
+}
+
+async function recordConsent(submission, ctx) {
+  const version = nullableText(submission.consent_version);
+  if (!version) return null;
+  return consentStore.put(crypto.randomUUID(), {
+    session_id: ctx.sessionId || null,
+    email: ctx.email || null,
+    submission_type: ctx.type,
+    version,
+    medical: boolToYesNo(submission.consent_medical) === "Yes",
+    marketing: boolToYesNo(submission.consent_marketing) === "Yes",
+    given_at: nullableText(submission.consent_given_at) || new Date().toISOString(),
+    recorded_at: new Date().toISOString(),
+    origin: ctx.origin,
+  });
+}
+
+// Everything held locally about a person, and how to tell which records are theirs.
+const PRIVACY_STORES = {
+  questionnaire_history: {
+    store: questionnaireHistoryStore,
+    refs: (r) => ({ sessionId: r.session_id, leadId: r.lead_id, email: r.contact?.email }),
+  },
+  consents: { store: consentStore, refs: (r) => ({ sessionId: r.session_id, email: r.email }) },
+  outbox: {
+    store: outboxStore,
+    refs: (r) => ({
+      sessionId: r.session_id || r.submission?.session_id,
+      email: normalizeEmail(r.submission?.email),
+      emailHash: r.email_sha256,
+    }),
+  },
+  failures: {
+    store: failureStore,
+    refs: (r) => ({ sessionId: r.session_id, leadId: r.lead_id, email: normalizeEmail(r.submission?.email), emailHash: r.email_sha256 }),
+  },
+  conversions: { store: conversionStore, refs: (r) => ({ sessionId: r.session_id, leadId: r.lead_id, emailHash: r.email_sha256 }) },
+  booking_clicks: { store: bookingClickStore, refs: (r) => ({ sessionId: r.session_id, leadId: r.lead_id }) },
+  webhook_deliveries: {
+    store: webhookDeliveryStore,
+    refs: (r) => ({ sessionId: r.event?.data?.session_id, leadId: r.event?.data?.lead_id, email: r.event?.data?.email }),
+  },
+  pending_submissions: {
+    store: pendingSubmissionStore,
+    refs: (r) => ({ sessionId: r.session_id, email: normalizeEmail(r.submission?.email), emailHash: r.email_sha256 }),
+  },
+  payloads: {
+    store: payloadVaultStore,
+    refs: (r) => ({ sessionId: r.session_id, leadId: r.lead_id, payloadId: r.id }),
+    view: (r) => ({ id: r.id, kind: r.kind, created_at: r.created_at, payload: openPayload(r.id) }),
+  },
+};
+
+// Fields blanked on an erased lead. Country, the eligibility/outcome values and the consent version and scope
+// stay for reporting; flags and reasons go because they spell out the medical answers.
+const ERASED_LEAD_FIELDS = [
+  "First_Name",
+  "Email",
+  "Phone",
+  "Mobile",
+  "City",
+  "State",
+  "Session_ID",
+  "Date_of_Birth",
+  "Circumcised",
+  "Tobacco",
+  "ED_history",
+  "Active_STD",
+  "Can_maintain_erection",
+  "STD_list",
+  "Previous_Penis_Surgeries",
+  "Recent_Outbreak",
+  FIELD_LEAD_MEDICAL_CONDITION_LIST,
+  "Body_Type",
+  "Eligibility_Flags",
+  "Eligibility_Reasons",
+  "Client_Eligibility_Flags",
+  "Client_Eligibility_Reasons",
+  "Eligibility_Mismatch",
+  FIELD_QUESTIONNAIRE_DETAILS,
+  FIELD_QUESTIONNAIRE_DETAILS_2,
+  "gclid2",
+  "GBRAID",
+  "WBRAID",
+  "FBCLID",
+  "MSCLKID",
+  "Gad_Source",
+  "utm_source",
+  "utm_medium",
+  "utm_campaign",
+  "utm_content",
+  "utm_term",
+  FIELD_LEAD_EMBED_SOURCE_URL,
+  "Landing_Page_URL",
+  "First_Touch_Landing_Page",
+  "Last_Touch_Landing_Page",
+  "Idempotency_Key",
+  "Consent_Timestamp",
+];
+
+function matchesPrivacySubject(subject, refs) {
+  return (
+    (!!refs.sessionId && subject.sessionIds.has(String(refs.sessionId))) ||
+    (!!refs.leadId && subject.leadIds.has(String(refs.leadId))) ||
+    (!!refs.email && subject.emails.has(normalizeEmail(refs.email))) ||
+    (!!refs.emailHash && [...subject.emails].some((e) => sha256Hex(e) === refs.emailHash)) ||
+    (!!refs.payloadId && subject.payloadIds.has(refs.payloadId))
+  );
+}
+
+// Widens the request (one session id or email) to every session, email and lead that belongs to the same person.
+async function resolvePrivacySubject({ sessionId, email }) {
+  const subject = { sessionIds: new Set(), emails: new Set(), leadIds: new Set(), payloadIds: new Set(), leads: [] };
+  if (sessionId) subject.sessionIds.add(sessionId);
+  if (email) subject.emails.add(email);
+
+  for (const record of questionnaireHistoryStore.values()) {
+    if (!matchesPrivacySubject(subject, PRIVACY_STORES.questionnaire_history.refs(record))) continue;
+    if (record.session_id) subject.sessionIds.add(record.session_id);
+    if (record.lead_id) subject.leadIds.add(record.lead_id);
+    if (record.contact?.email) subject.emails.add(record.contact.email);
+  }
+
+  const criteria = [
+    ...[...subject.emails].map((e) => `(Email:equals:${e})`),
+    ...[...subject.sessionIds].map((s) => `(Session_ID:equals:${s})`),
+  ];
+  const leads = new Map();
+  for (const c of criteria) {
+    for (const lead of await zohoSearchAll(MODULE_LEADS, c)) leads.set(String(lead.id), lead);
+  }
+  for (const leadId of subject.leadIds) {
+    if (!leads.has(leadId)) {
+      const lead = await getLeadByIdForAppend(leadId);
+      if (lead) leads.set(leadId, lead);
+    }
+  }
+  for (const lead of leads.values()) {
+    subject.leadIds.add(String(lead.id));
+    if (nullableText(lead.Session_ID)) subject.sessionIds.add(nullableText(lead.Session_ID));
+    if (normalizeEmail(lead.Email)) subject.emails.add(normalizeEmail(lead.Email));
+  }
+  subject.leads = [...leads.values()];
+  // Vault payloads carry no email, so they are also claimed through the records that point at them.
+  for (const { store, refs } of Object.values(PRIVACY_STORES)) {
+    for (const record of store.values()) {
+      if (record.payload_id && matchesPrivacySubject(subject, refs(record))) subject.payloadIds.add(record.payload_id);
+    }
+  }
+  return subject;
+}
+
+async function fetchEligibilityNotes(leadId) {
+  const data = await zohoGET(`/crm/v2/${MODULE_LEADS}/${leadId}/Notes`);
+  return (data?.data || []).filter((n) => String(n.Note_Title || "").startsWith("Eligibility "));
+}
+
+async function exportPrivacySubject(subject) {
+  const local = {};
+  for (const [name, { store, refs, view }] of Object.entries(PRIVACY_STORES)) {
+    local[name] = store
+      .values()
+      .filter((r) => matchesPrivacySubject(subject, refs(r)))
+      .map(view || ((r) => r));
+  }
+  const zohoNotes = {};
+  for (const lead of subject.leads) zohoNotes[lead.id] = await fetchEligibilityNotes(lead.id);
+  return {
+    exported_at: new Date().toISOString(),
+    session_ids: [...subject.sessionIds],
+    emails: [...subject.emails],
+    lead_ids: [...subject.leadIds],
+    zoho_leads: subject.leads,
+    zoho_notes: zohoNotes,
+    ...local,
+  };
+}
+
+async function anonymizeZohoLead(lead) {
+  const payload = { Last_Name: "Erased" };
+  for (const field of ERASED_LEAD_FIELDS) payload[field] = null;
+  const upd = await updateLeadWithRecovery(lead.id, payload);
+  // Recovery drops fields Zoho rejects; any dropped field may still hold personal data.
+  if (upd.removed_fields?.length) {
+    throw new Error(`Zoho did not clear ${upd.removed_fields.join(", ")} on lead ${lead.id}`);
+  }
+  let notesDeleted = 0;
+  for (const note of await fetchEligibilityNotes(lead.id)) {
+    await zohoDELETE(`/crm/v2/${MODULE_LEADS}/${lead.id}/Notes/${note.id}`);
+    notesDeleted++;
+  }
+  return { lead_id: String(lead.id), notes_deleted: notesDeleted };
+}
+
+// Zoho is anonymized first: if that fails, local data is kept so the request can simply be retried.
+async function erasePrivacySubject(subject, exported) {
+  const zohoLeads = [];
+  for (const lead of subject.leads) zohoLeads.push(await anonymizeZohoLead(lead));
+
+  let tasksDeleted = 0;
+  for (const failure of exported.failures) {
+    if (!failure.zoho_task_id) continue;
+    try {
+      await zohoDELETE(`/crm/v2/${MODULE_TASKS}/${failure.zoho_task_id}`);
+      tasksDeleted++;
+    } catch (e) {
+      logger.error(`[Privacy] failed to delete error task ${failure.zoho_task_id}`, { error: errorText(e), zoho_code: e?.zoho?.code });
+    }
+  }
+
+  const local = {};
+  for (const [name, { store, refs }] of Object.entries(PRIVACY_STORES)) {
+    local[name] = (await store.removeWhere((r) => matchesPrivacySubject(subject, refs(r)))).length;
+  }
+  await callLockStore("removeResults", (key, result) => {
+    const parts = key.split(":");
+    return (
+      parts.some((p) => subject.sessionIds.has(p) || subject.emails.has(p)) ||
+      subject.leadIds.has(String(result?.body?.lead_id || ""))
+    );
+  });
+
+  const summary = { zoho_leads: zohoLeads, zoho_tasks_deleted: tasksDeleted, local_records_removed: local };
+  await erasureLogStore.put(crypto.randomUUID(), {
+    erased_at: new Date().toISOString(),
+    lead_ids: [...subject.leadIds],
+    session_hashes: [...subject.sessionIds].map(hashForLog),
+    email_hashes: [...subject.emails].map(hashForLog),
+    ...summary,
+  });
+  return summary;
+}
+
+function parsePrivacySubjectQuery(source) {
+  const sessionId = String(source?.session_id || "").trim();
+  const email = normalizeEmail(source?.email);
+  if (!sessionId && !email) return { error: "session_id or a valid email is required" };
+  return { sessionId, email };
+}
+
+app.get("/api/admin/privacy/export", requireAdmin, async (req, res) => {
+  const query = parsePrivacySubjectQuery(req.query);
+  if (query.error) return res.status(400).json({ error: query.error });
+  try {
+    const subject = await resolvePrivacySubject(query);
+    res.set("Cache-Control", "no-store");
+    res.json(await exportPrivacySubject(subject));
+  } catch (e) {
+    logger.error("[Privacy] export failed", { error: errorText(e), zoho_code: e?.zoho?.code });
+    res.status(502).json({ error: "export failed", message: String(e?.message || e) });
+  }
+});
+
+app.post("/api/admin/privacy/erase", requireAdmin, async (req, res) => {
+  const query = parsePrivacySubjectQuery(req.body);
+  if (query.error) return res.status(400).json({ error: query.error });
+  try {
+    const subject = await resolvePrivacySubject(query);
+    const exported = await exportPrivacySubject(subject);
+    const erased = await erasePrivacySubject(subject, exported);
+    logger.info(`[Privacy] erased ${subject.leadIds.size} lead(s)`, { lead_ids: [...subject.leadIds] });
+    res.set("Cache-Control", "no-store");
+    res.json({ success: true, export: exported, erased });
+  } catch (e) {
+    logger.error("[Privacy] erasure failed", { error: errorText(e), zoho_code: e?.zoho?.code });
+    res.status(502).json({ success: false, error: "erasure failed", message: String(e?.message || e) });
+  }
+});
+
+function createTokenBucketLimiter({ perMinute, burst }) {
+  const buckets = new Map();
+  const refillPerMs = perMinute / 60_000;
+  const capacity = Math.max(burst, 1);
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * refillPerMs >= capacity) buckets.delete(key);
+    }
+  }, 60_000).unref?.();
+
+  return {
+    take(key) {
+      const now = Date.now();
+      const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+      bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+      bucket.updatedAt = now;
+      buckets.set(key, bucket);
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return { allowed: true, retryAfterS: 0 };
+      }
+      return { allowed: false, retryAfterS: Math.ceil((1 - bucket.tokens) / refillPerMs / 1000) };
+    },
+  };
+}
+
+const ipSubmissionLimiter = createTokenBucketLimiter({ perMinute: RATE_LIMIT_IP_PER_MINUTE, burst: RATE_LIMIT_IP_BURST });
+const sessionSubmissionLimiter = createTokenBucketLimiter({ perMinute: RATE_LIMIT_SESSION_PER_MINUTE, burst: RATE_LIMIT_SESSION_BURST });
+
+async function verifyCaptchaToken(token, remoteIp) {
+  if (!token) return { ok: false, reason: "captcha_missing" };
+  try {
+    const response = await fetchWithTimeout(
+      CAPTCHA_VERIFY_URL,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ secret: CAPTCHA_SECRET || "", response: token, remoteip: remoteIp || "" }).toString(),
+      },
+      CAPTCHA_TIMEOUT_MS
     );
+    const data = await response.json().catch(() => ({}));
+    return data?.success === true ? { ok: true } : { ok: false, reason: "captcha_failed", codes: data?.["error-codes"] || [] };
+  } catch (e) {
+    // A verifier outage must not drop real leads, so it is logged and let through.
+    logger.warn("[Abuse] captcha verifier unavailable, allowing submission", { error: errorText(e) });
+    return { ok: true, unverified: true };
+  }
+}
+
+function blockSubmission(res, { status, reason, error, retryAfterS, ctx, ip }) {
+  metrics.blockedSubmissions.inc({ reason });
+  metrics.submissions.inc({ type: ctx.type || "unknown", outcome: "blocked" });
+  logger.warn("[Abuse] blocked submission", { reason, submission_type: ctx.type, ip_hash: hashForLog(ip) });
+  if (retryAfterS) res.set("Retry-After", String(retryAfterS));
+  return res.status(status).json({ success: false, error, code: reason });
+}
+
+function signFormToken(sessionId, startedAt) {
+  return crypto.createHmac("sha256", FORM_TOKEN_SECRET).update(`form.${sessionId}.${startedAt}`).digest("base64url");
+}
+
+// Form tokens carry a server-issued start time (`<epoch ms>.<HMAC>`), so the fill-time check does not
+// rely on a timestamp the client could backdate.
+function formTokenStartedAt(sessionId, token) {
+  const [startedAt, signature] = String(token || "").split(".");
+  if (!/^\d+$/.test(startedAt || "") || !signature) return null;
+  if (Number(startedAt) + FORM_TOKEN_TTL_MS < Date.now()) return null;
+  return timingSafeEqualText(signFormToken(sessionId, startedAt), signature) ? Number(startedAt) : null;
+}
+
+// A form token wins over form_started_at. With FORM_START_REQUIRED, leads must carry a start time: a token when
+// FORM_TOKEN_SECRET is set, form_started_at otherwise. Without it, a missing start time skips the fill-time check.
+function formStartedAt(submission, ctx) {
+  const token = FORM_TOKEN_SECRET ? nullableText(submission.form_token) : null;
+  if (token) {
+    const startedAt = ctx.sessionId ? formTokenStartedAt(ctx.sessionId, token) : null;
+    return startedAt === null ? { reason: "invalid_form_token" } : { startedAt };
+  }
+  if (FORM_START_REQUIRED && FORM_TOKEN_SECRET) return { reason: "missing_form_token" };
+  const startedAt = Date.parse(submission.form_started_at || "");
+  if (Number.isFinite(startedAt)) return { startedAt };
+  return FORM_START_REQUIRED ? { reason: "missing_form_started_at" } : { startedAt: null };
+}
+
+app.get("/api/sessions/:session_id/form-token", (req, res) => {
+  const sessionId = String(req.params.session_id || "").trim();
+  if (!FORM_TOKEN_SECRET) return res.status(503).json({ error: "form tokens are not configured" });
+  if (!sessionId) return res.status(400).json({ error: "session_id is required" });
+  const startedAt = Date.now();
+  res.set("Cache-Control", "no-store");
+  res.json({
+    form_token: `${startedAt}.${signFormToken(sessionId, startedAt)}`,
+    started_at: new Date(startedAt).toISOString(),
+    expires_at: new Date(startedAt + FORM_TOKEN_TTL_MS).toISOString(),
+  });
+});
+
+async function checkSubmissionAbuse(req, res, submission, ctx) {
+  const ip = req.ip;
+  const ipLimit = ipSubmissionLimiter.take(ip || "unknown");
+  if (!ipLimit.allowed) {
+    return blockSubmission(res, { status: 429, reason: "rate_limited_ip", error: "Too many submissions, please retry later.", retryAfterS: ipLimit.retryAfterS, ctx, ip });
+  }
+  if (nullableText(submission[HONEYPOT_FIELD]) !== null) {
+    return blockSubmission(res, { status: 400, reason: "honeypot", error: "submission rejected", ctx, ip });
+  }
+  if (ctx.type === "lead") {
+    const started = formStartedAt(submission, ctx);
+    if (started.reason) return blockSubmission(res, { status: 400, reason: started.reason, error: "submission rejected", ctx, ip });
+    if (started.startedAt !== null && Date.now() - started.startedAt < MIN_FILL_TIME_MS) {
+      return blockSubmission(res, { status: 400, reason: "too_fast", error: "submission rejected", ctx, ip });
+    }
+  }
+  if (ctx.sessionId) {
+    const sessionLimit = sessionSubmissionLimiter.take(ctx.sessionId);
+    if (!sessionLimit.allowed) {
+      return blockSubmission(res, {
+        status: 429,
+        reason: "rate_limited_session",
+        error: "Too many submissions for this session, please retry later.",
+        retryAfterS: sessionLimit.retryAfterS,
+        ctx,
+        ip,
+      });
+    }
+  }
+  if (CAPTCHA_VERIFY_URL && CAPTCHA_REQUIRED_TYPES.includes(ctx.type)) {
+    const captcha = await verifyCaptchaToken(nullableText(submission.captcha_token) || nullableText(req.get("x-captcha-token")), ip);
+    if (!captcha.ok) {
+      return blockSubmission(res, { status: 400, reason: captcha.reason, error: "captcha verification failed", ctx, ip });
+    }
+  }
+  return null;
+}
+
+function submissionOutcome(result) {
+  if (result.status === 409) return "no_lead";
+  if (result.body?.status === "pending") return "pending";
+  if (result.status < 200 || result.status >= 300) return `http_${result.status}`;
+  if (result.body?.duplicate_recovered) return "duplicate_recovered";
+  return result.body?.created ? "created" : "updated";
+}
+
+app.post("/api/submissions", async (req, res) => {
+  const submission = req.body || {};
+  const ctx = getSubmissionContext(submission, { origin: req.get("origin") });
+  setLogContext({ sessionId: ctx.sessionId });
+  const state = { lead: null };
+  let outboxEntry = null;
+
+  try {
+    const errors = [...validateSubmission(submission, ctx), ...consentErrors(submission, ctx)];
+    if (errors.length) {
+      metrics.submissions.inc({ type: ctx.type || "unknown", outcome: "invalid" });
+      return res.status(400).json({ success: false, error: errors[0].message, errors });
+    }
+    if (await checkSubmissionAbuse(req, res, submission, ctx)) return;
+    await recordConsent(submission, ctx);
+
+    outboxEntry = await enqueueOutboxEntry(submission, ctx);
+    const result = await executeSubmission(submission, ctx, state);
+    await removeOutboxEntry(outboxEntry.id);
+    metrics.submissions.inc({ type: ctx.type, outcome: submissionOutcome(result) });
+    if (result.body?.matched_by) metrics.matchedBy.inc({ type: ctx.type, matched_by: result.body.matched_by });
+    return res.status(result.status).json(withResumeToken(result.body, ctx));
+  } catch (e) {
+    if (outboxEntry && isRetryableSubmissionError(e)) {
+      metrics.submissions.inc({ type: ctx.type, outcome: "queued" });
+      await scheduleOutboxRetry(outboxEntry, submission, e);
+      return res.status(202).json(
+        withResumeToken(
+          {
+            success: true,
+            status: "queued",
+            tracking_id: outboxEntry.id,
+            warning: "zoho_unavailable_submission_queued",
+          },
+          ctx
+        )
+      );
+    }
+    if (outboxEntry) await removeOutboxEntry(outboxEntry.id);
+
+    const zohoErr = e?.zoho || null;
+    const zohoHttp = e?.httpStatus || null;
+    await reportSubmissionFailure(e, { submission, ctx, leadId: state.lead?.id, source: "POST /api/submissions" });
     const nonRetryable = zohoHttp && zohoHttp >= 400 && zohoHttp < 500;
+    metrics.submissions.inc({ type: ctx.type || "unknown", outcome: nonRetryable ? "zoho_rejected" : "failed" });
     if (nonRetryable) {
       return res.status(200).json({
         success: true,
@@ -1115,5 +4641,25 @@ app.post("/api/submissions", async (req, res) => {
   }
 });
 
+for (const entry of outboxStore.values()) {
+  if (entry.status === "processing") {
+    outboxStore.put(entry.id, { ...entry, status: "queued", next_attempt_at: new Date().toISOString() });
+  }
+}
+setInterval(processOutbox, OUTBOX_POLL_INTERVAL_MS).unref?.();
+
+setInterval(processWebhookRetries, 10_000).unref?.();
+
+setInterval(processPendingSubmissions, PENDING_POLL_INTERVAL_MS).unref?.();
+
+pruneQuestionnaireHistory();
+setInterval(pruneQuestionnaireHistory, 24 * 60 * 60_000).unref?.();
+
+pruneFailureLog();
+setInterval(pruneFailureLog, 24 * 60 * 60_000).unref?.();
+
+refreshSurgeonDirectory().catch(() => {});
+setInterval(() => refreshSurgeonDirectory().catch(() => {}), SURGEON_DIRECTORY_REFRESH_INTERVAL_MS).unref?.();
+
 const port = process.env.PORT || 10000;
-app.listen(port, () => console.log(`API running on port ${port}`));
+app.listen(port, () => logger.info(`API running on port ${port}`, { log_level: ACTIVE_LOG_LEVEL }));